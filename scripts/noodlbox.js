@@ -3,21 +3,47 @@
  * Noodlbox Claude Code Hooks
  *
  * Unified hook handler for Claude Code events:
- * 1. SessionStart - Lists available repositories on fresh session start
- * 2. PreToolUse (Grep/Bash) - Augments with graph def/search by pattern shape
+ * 1. SessionStart - Lists available repositories on fresh session start;
+ *    restates the essentials after compaction or on resume
+ * 2. PreToolUse (Grep/Bash) - Augments with graph def/search by pattern shape;
+ *    (Task/Agent) primes a subagent's prompt
  * 3. PostToolUse (query_with_context) - Formats MCP results for humans
+ * 4. PreCompact - Keeps the session's graph working set across compaction
+ * 5. Stop - Sends the agent back on structural findings left by its edits
+ * 6. UserPromptSubmit - Resolves the identifiers a prompt names
+ * 7. SubagentStop - Folds a subagent's state back into its parent session
+ *
+ * Every hook invocation inside a box appends one telemetry line under
+ * ~/.noodlbox/hooks/; `node noodlbox.js stats` summarizes it.
  */
 
 const path = require('path');
 const fs = require('fs');
-const { execFileSync } = require('child_process');
 const lib = require(path.join(__dirname, '../shared/hooks/lib.js'));
 
 const SCHEMA_TIMEOUT_MS = 5000;
 
+// Changed definitions named in the change summary's workflow search.
+const SUMMARY_MAX_QUERY_NAMES = 8;
+
+// The host's per-event timeouts — the hook's deadline budget.
+const HOOKS_CONFIG_PATH = path.join(__dirname, '../hooks/hooks.json');
+
 // Path to AGENTS.md content (shared across all platforms)
 const AGENTS_MD_PATH = path.join(__dirname, '../shared/skills/nbx-setup/references/AGENTS.md');
 
+/**
+ * Parsed hooks/hooks.json, or null when it is missing or unreadable (the
+ * deadline then falls back to the host default budget).
+ */
+function loadHooksConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(HOOKS_CONFIG_PATH, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Load AGENTS.md content, stripping YAML frontmatter
  */
@@ -32,45 +58,495 @@ function loadAgentsMdContent() {
   }
 }
 
+// The core guidance, restated after compaction or on resume — the full
+// AGENTS.md and the schema went in at startup — and given to subagents,
+// which start without either.
+const GUIDANCE_VERBS = [
+  '- `noodl def <symbol> --box .` for an identifier you know: its definition, callers and callees.',
+  '- `noodl search "<question>" --box .` for a concept: the workflows and definitions that implement it.',
+  '- `noodl verify --digest` audits the working tree structurally; resolve its findings before committing.',
+  '- Graph answers also arrive with your Grep/Bash searches, edits, commits and failed builds: use them before re-reading files.',
+];
+const COMPACT_GUIDANCE = [
+  'Noodlbox code graph (short form — the session context was compacted or resumed):',
+  ...GUIDANCE_VERBS,
+].join('\n');
+const SUBAGENT_GUIDANCE = [
+  'Noodlbox code graph (this task runs inside an indexed box):',
+  ...GUIDANCE_VERBS,
+].join('\n');
+
+// Audit lines restated on restore; the rest is one `noodl verify` away.
+const COMPACT_MAX_FINDING_LINES = 20;
+
 // ANSI colors for branding
 const BRAND = '\x1b[38;5;39m[noodlbox]\x1b[0m'; // Blue
 
+// A one-time user notice that rides on this invocation's response: the host
+// reads a single JSON object per hook run, so it is folded into whatever
+// emit() writes, or written alone by flushPendingNotice().
+let pendingNotice = null;
+
+/**
+ * Write one hook response to stdout — the only place the dispatcher does,
+ * so telemetry sees the size of every injection.
+ */
+function emit(output) {
+  if (pendingNotice) {
+    const notice = `${BRAND} ${pendingNotice}`;
+    output = {
+      ...output,
+      systemMessage: output.systemMessage ? `${notice}\n${output.systemMessage}` : notice,
+    };
+    pendingNotice = null;
+  }
+  const context = (output.hookSpecificOutput && output.hookSpecificOutput.additionalContext) || '';
+  lib.noteTelemetry({ injected_bytes: Buffer.byteLength(context, 'utf-8') });
+  console.log(JSON.stringify(output));
+}
+
+/**
+ * Write a pending notice nothing else carried (end of every invocation).
+ */
+function flushPendingNotice() {
+  if (pendingNotice) emit({});
+}
+
+/**
+ * `text` behind the "index refreshing" line while a background analyze of
+ * the box runs — the answer is from the graph it is replacing.
+ */
+function withRefreshNote(boxId, text) {
+  const note = lib.analyzeRefreshNote(boxId);
+  return note ? `${note}\n${text}` : text;
+}
+
+/**
+ * One line on how current the box's graph is, or null when it describes
+ * HEAD: the refresh note while an analyze runs, else the staleness badge
+ * when HEAD has moved off the analyzed commit. From the policy's
+ * `stale_reanalyze_commits` of divergence on, the badge offers a
+ * re-analyze (`stale_reanalyze = "offer"`) or one is started ("auto").
+ */
+async function freshnessLine(cwd, repoInfo, policy) {
+  const note = lib.analyzeRefreshNote(repoInfo.box_id);
+  if (note) return note;
+  const staleness = await lib.baselineStaleness(repoInfo, cwd);
+  if (!staleness) return null;
+  let badge = lib.stalenessBadge(staleness);
+  const { stale_reanalyze: mode, stale_reanalyze_commits: threshold } = policy.limits;
+  if (mode !== 'off' && lib.stalenessDistance(staleness) >= threshold) {
+    if (mode === 'offer') {
+      badge += ' Offer the user a re-analyze (`noodl analyze`) before relying on these answers.';
+    } else if (lib.postCommitAnalyzeDue(cwd) && lib.spawnPostCommitAnalyze(cwd, repoInfo.box_id)) {
+      lib.noteTelemetry({ stale_reanalyze: true });
+      badge += ' Re-analyzing in the background; answers catch up when it finishes.';
+    }
+  }
+  return badge;
+}
+
+/**
+ * `text` behind the box's freshness line, when there is one.
+ */
+async function withFreshness(cwd, repoInfo, policy, text) {
+  const line = await freshnessLine(cwd, repoInfo, policy);
+  return line ? `${line}\n${text}` : text;
+}
+
+/**
+ * A failed graph call may have just opened the circuit breaker (or found
+ * it open): tell the user once per episode, through systemMessage only —
+ * the agent's context gets nothing, the tool runs as if noodlbox were absent.
+ * Queued as the pending notice, so it rides on whatever else this
+ * invocation still delivers.
+ */
+function emitBreakerNotice(cwd) {
+  const notice = lib.takeBreakerNotice(cwd);
+  if (notice) {
+    pendingNotice = pendingNotice ? `${pendingNotice}\n${notice}` : notice;
+  }
+}
+
+/**
+ * Run the verify digest: `{ digest, verdict }` when it has anything to
+ * deliver, null when it ran and has nothing (machine contract: empty
+ * stdout ⇔ nothing to deliver; the all-clear reassurance goes to the
+ * CLI's stderr, so no sentinel string-matching happens here), and false
+ * when it did not run — failed, timed out with nothing printed, or the
+ * breaker is open. Callers that only deliver treat both alike; one that
+ * reports "no findings" must not take false for it. Options: `range`
+ * (lib.resolvePushRange) audits those commits and tags each finding with
+ * the commit that introduced it; `gate` (the policy limits) lets the
+ * opt-in commit gate turn the decision into 'ask'/'deny' (`verdict`);
+ * `full` runs it without the session id — every open finding, not the
+ * ones the session has not been given yet. A working-tree audit that ran
+ * is recorded for the session (lib.noteSessionAudit).
+ */
+async function verifyDigest(cwd, sessionId, channel, options = {}) {
+  const { range, gate, full } = options;
+  const audit = await lib.runNoodlVerifyDigest(
+    cwd,
+    full ? undefined : sessionId,
+    channel,
+    range ? `${range.base}..${range.head}` : undefined
+  );
+  if (!range && (audit.success || audit.cutByDeadline)) lib.noteSessionAudit(sessionId);
+  let digest = audit.result;
+  if (!audit.success) {
+    // Out of hook budget mid-digest: deliver the findings printed so far
+    // rather than nothing, and say the list is incomplete.
+    if (audit.cutByDeadline && audit.partial.trim()) {
+      digest = `${audit.partial.trimEnd()}\n(incomplete: the audit ran out of hook time)\n`;
+    } else {
+      emitBreakerNotice(cwd);
+      return false;
+    }
+  }
+  // Findings a subagent was given and folded into this session (mid-edit
+  // only); in a subagent's own session, the record of what it is given.
+  if (!full) digest = lib.undeliveredFindings(sessionId, digest, channel);
+  if (!digest.trim()) {
+    return null;
+  }
+  if (range) {
+    digest = await lib.attributeFindings(digest, range);
+  }
+  const verdict = gate ? lib.commitGateDecision(digest, gate) : null;
+  if (verdict) lib.noteTelemetry({ decision: verdict.decision });
+  return { digest, verdict };
+}
+
+/**
+ * PreToolUse context: `additionalContext`, with the gate's verdict when
+ * there is one — the only path on which a hook blocks the tool.
+ */
+function emitPreToolContext(additionalContext, verdict) {
+  emit({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: verdict ? verdict.decision : 'allow',
+      ...(verdict ? { permissionDecisionReason: verdict.reason } : {}),
+      additionalContext,
+    },
+  });
+}
+
 /**
  * Run the verify digest and inject it as PreToolUse context when it has
- * anything to deliver. Shared by the commit-boundary audit and the
- * mid-edit nudge — one guard, one envelope. Never blocks the tool
- * (machine contract: empty stdout ⇔ nothing to deliver; the all-clear
- * reassurance goes to the CLI's stderr, so no sentinel string-matching
- * happens here).
- */
-function injectVerifyDigest(cwd, sessionId, channel, prefix) {
-  const audit = lib.runNoodlVerifyDigest(cwd, sessionId, channel);
-  if (!audit.success || !audit.result.trim()) {
+ * anything to deliver. Shared by the pre-push audit and the mid-edit
+ * nudge — one guard, one envelope. Never blocks the tool unless the
+ * commit gate (`options.gate`) says so.
+ */
+async function injectVerifyDigest(cwd, sessionId, channel, prefix, options = {}) {
+  const audit = await verifyDigest(cwd, sessionId, channel, options);
+  if (audit) emitPreToolContext(prefix + audit.digest, audit.verdict);
+}
+
+/**
+ * The structural summary of `from`..`to` (lib.structuralChanges) under
+ * `label`, with the workflows its changed and removed definitions run in
+ * (one `noodl search` through the session cache). Null when no definition
+ * changed, or this session already has this summary.
+ */
+async function changeSummary(cwd, sessionId, repoInfo, from, to, label) {
+  const changes = await lib.structuralChanges(cwd, from, to);
+  if (!changes) return null;
+  const names = [...new Set([...changes.changed, ...changes.removed].map((symbol) => symbol.name))]
+    .slice(0, SUMMARY_MAX_QUERY_NAMES);
+  let entryPoints = [];
+  if (names.length) {
+    const query = names.join(' ');
+    const answer = await lib.cachedGraphQuery(
+      { verb: 'search', term: query, cwd, sessionId, repoInfo },
+      () => lib.runNoodlSearch(query, cwd)
+    );
+    if (answer.success) entryPoints = lib.affectedEntryPoints(answer.result, names);
+    else emitBreakerNotice(cwd);
+  }
+  const summary = lib.formatChangeSummary(label, changes, entryPoints);
+  if (!summary || lib.alreadyDelivered(sessionId, 'summary', label, summary)) return null;
+  return summary;
+}
+
+/**
+ * The signature-change guard for one Edit payload: call sites of every
+ * definition whose parameter list or return type the edit changes, from
+ * `noodl def` (through the session cache, shared with the Grep route).
+ * Resolves `{ findings, failed }` — digests not yet delivered this session,
+ * and whether any lookup failed.
+ */
+async function signatureFindings(cwd, sessionId, repoInfo, toolInput) {
+  const changes = lib.changedSignatures(toolInput.old_string, toolInput.new_string);
+  if (!changes.length) return { findings: [], failed: false };
+  lib.noteTelemetry({ route: 'signature-guard' });
+  const answers = await Promise.all(changes.map((change) => lib.cachedGraphQuery(
+    { verb: 'def', term: change.name, cwd, sessionId, repoInfo },
+    () => lib.runNoodlDef(change.name, cwd)
+  )));
+  const findings = [];
+  changes.forEach((change, i) => {
+    if (!answers[i].success) return;
+    const digest = lib.formatSignatureFindings(change, answers[i].result, toolInput.file_path);
+    if (digest && !lib.alreadyDelivered(sessionId, 'signature', change.name, digest)) {
+      findings.push(digest);
+    }
+  });
+  return { findings, failed: answers.some((answer) => !answer.success) };
+}
+
+/**
+ * The deleted-symbol guard for one Edit or Write: definitions the change
+ * removes (parsed from `old_string`/`new_string`, or from the file on disk
+ * and the new `content`) that the graph places in this file and that other
+ * files still reference. Same result shape as signatureFindings.
+ */
+async function deletedSymbolFindings(cwd, sessionId, repoInfo, toolName, toolInput) {
+  const removed = toolName === 'Write'
+    ? lib.removedDefinitions(lib.readFileText(toolInput.file_path), toolInput.content)
+    : lib.removedDefinitions(toolInput.old_string, toolInput.new_string);
+  // An identifier swap is a rename — the PostToolUse rename check owns it.
+  if (!removed.length
+      || (toolName === 'Edit' && lib.renameFromEdit(toolInput.old_string, toolInput.new_string))) {
+    return { findings: [], failed: false };
+  }
+  lib.noteTelemetry({ route: 'deleted-symbol-guard' });
+  const answers = await Promise.all(removed.map((name) => lib.cachedGraphQuery(
+    { verb: 'def', term: name, cwd, sessionId, repoInfo },
+    () => lib.runNoodlDef(name, cwd)
+  )));
+  const findings = [];
+  removed.forEach((name, i) => {
+    if (!answers[i].success) return;
+    const digest = lib.formatDeletedSymbolFindings(name, answers[i].result, toolInput.file_path);
+    if (digest && !lib.alreadyDelivered(sessionId, 'deleted', name, digest)) {
+      findings.push(digest);
+    }
+  });
+  return { findings, failed: answers.some((answer) => !answer.success) };
+}
+
+/**
+ * Run the enabled Edit/Write guards side by side and deliver their
+ * findings as one PreToolUse context. Resolves true when it emitted.
+ */
+async function injectEditGuards(cwd, sessionId, repoInfo, toolName, toolInput, policy) {
+  const none = { findings: [], failed: false };
+  const results = await Promise.all([
+    toolName === 'Edit' && policy.channels.signature_guard
+      ? signatureFindings(cwd, sessionId, repoInfo, toolInput)
+      : none,
+    policy.channels.deleted_symbol_guard
+      ? deletedSymbolFindings(cwd, sessionId, repoInfo, toolName, toolInput)
+      : none,
+  ]);
+  const findings = results.flatMap((result) => result.findings);
+  if (!findings.length) {
+    if (results.some((result) => result.failed)) emitBreakerNotice(cwd);
+    return false;
+  }
+  emit({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'allow',
+      additionalContext: withRefreshNote(repoInfo.box_id, findings.join('\n\n')),
+    },
+  });
+  return true;
+}
+
+/**
+ * Affected-test selection for one test-runner command: the working tree's
+ * changed definitions, walked up incoming calls to the tests that reach
+ * them (def answers through the session cache).
+ */
+async function injectTestSelection(cwd, sessionId, repoInfo, testRun) {
+  const changed = await lib.changedDefinitions(cwd, repoInfo.box_id);
+  if (!changed || (!changed.symbols.length && !changed.tests.length)) return;
+  lib.noteTelemetry({ route: 'test-selection' });
+  const reach = await lib.testsReaching(changed.symbols, (name) => lib.cachedGraphQuery(
+    { verb: 'def', term: name, cwd, sessionId, repoInfo },
+    () => lib.runNoodlDef(name, cwd)
+  ));
+  const tests = [...changed.tests];
+  for (const test of reach.tests) {
+    if (!tests.some((t) => t.file === test.file && t.name === test.name)) tests.push(test);
+  }
+  const digest = lib.formatTestSelection(testRun, tests);
+  if (!digest) {
+    if (reach.failed) emitBreakerNotice(cwd);
+    return;
+  }
+  if (lib.alreadyDelivered(sessionId, 'tests', testRun.runner, digest)) {
+    lib.noteTelemetry({ repeat: true });
+    emitRepeatPointer('test selection for your changes');
     return;
   }
-  console.log(JSON.stringify({
+  emit({
     hookSpecificOutput: {
       hookEventName: 'PreToolUse',
       permissionDecision: 'allow',
-      additionalContext: prefix + audit.result
-    }
+      additionalContext: withRefreshNote(repoInfo.box_id, digest),
+    },
+  });
+}
+
+/**
+ * Def answers (through the session cache) for `items` that name a symbol,
+ * stored on each as `answer` (result text, or null). True when a lookup
+ * failed outright.
+ */
+async function resolveSymbols(cwd, sessionId, repoInfo, items, symbolOf) {
+  const answers = await Promise.all(items.map((item) => {
+    const symbol = symbolOf(item);
+    return symbol
+      ? lib.cachedGraphQuery(
+        { verb: 'def', term: symbol, cwd, sessionId, repoInfo },
+        () => lib.runNoodlDef(symbol, cwd)
+      )
+      : null;
   }));
+  items.forEach((item, i) => {
+    item.answer = answers[i] && answers[i].success ? answers[i].result : null;
+  });
+  return answers.some((answer) => answer && !answer.success);
+}
+
+/**
+ * Stack-trace context: each in-repo frame's symbol looked up, frames
+ * outside the repo collapsed. `{ digest, key, failed }`, or null when the
+ * trace has no in-repo frame.
+ */
+async function stackContext(cwd, sessionId, repoInfo, frames) {
+  const entries = lib.stackEntries(frames, repoInfo.box_root || cwd, cwd);
+  if (!entries.some((entry) => !entry.external)) return null;
+  lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name, route: 'stack-context' });
+  const failed = await resolveSymbols(cwd, sessionId, repoInfo, entries, (entry) => entry.symbol);
+  const first = entries.find((entry) => !entry.external);
+  return { digest: lib.formatStackContext(entries), key: `${first.rel}:${first.line}`, failed };
+}
+
+/**
+ * Compiler-diagnostic context: each diagnostic's target looked up.
+ * `{ digest, key, failed }`.
+ */
+async function diagnosticContext(cwd, sessionId, repoInfo, diagnostics) {
+  lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name, route: 'diagnostic-context' });
+  const failed = await resolveSymbols(cwd, sessionId, repoInfo, diagnostics, (diagnostic) => diagnostic.target);
+  const first = diagnostics[0];
+  return { digest: lib.formatDiagnosticContext(diagnostics), key: `${first.file}:${first.line}`, failed };
+}
+
+/**
+ * Graph context for a failed Bash command (PostToolUse): its stack trace
+ * and its compiler/type-checker diagnostics, each behind its own channel,
+ * in one message. Once per unchanged view per session.
+ */
+async function injectFailureContext(cwd, input) {
+  const { channels } = lib.loadHookPolicy(cwd);
+  const text = lib.toolResponseText(input.tool_response);
+  const frames = channels.stack_context ? lib.parseStackFrames(text) : [];
+  const diagnostics = channels.diagnostic_context ? lib.parseDiagnostics(text, cwd) : [];
+  if (!frames.length && !diagnostics.length) return;
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  if (!repoInfo) return;
+  const parts = await Promise.all([
+    frames.length ? stackContext(cwd, input.session_id, repoInfo, frames) : null,
+    diagnostics.length ? diagnosticContext(cwd, input.session_id, repoInfo, diagnostics) : null,
+  ]);
+  const found = parts.filter((part) => part && part.digest);
+  if (!found.length) {
+    if (parts.some((part) => part && part.failed)) emitBreakerNotice(cwd);
+    return;
+  }
+  const digest = found.map((part) => part.digest).join('\n\n');
+  const key = found.map((part) => part.key).join(' ');
+  if (lib.alreadyDelivered(input.session_id, 'failure', key, digest)) return;
+  emit({
+    hookSpecificOutput: {
+      hookEventName: 'PostToolUse',
+      additionalContext: withRefreshNote(repoInfo.box_id, digest),
+    },
+  });
+}
+
+/**
+ * The rename-completeness check (PostToolUse): references to `rename.from`
+ * the graph knows of whose files still spell it. Findings-only, once per
+ * unchanged list per session.
+ */
+async function injectRenameFindings(cwd, input, rename) {
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  if (!repoInfo || !lib.loadHookPolicy(cwd).channels.rename_check) return;
+  lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name, route: 'rename-check' });
+  const answer = await lib.runNoodlDef(rename.from, cwd);
+  if (!answer.success) {
+    emitBreakerNotice(cwd);
+    return;
+  }
+  const toolInput = input.tool_input || {};
+  if (input.tool_name === 'Edit'
+      && !lib.editRenamesDefinition(rename.from, toolInput.old_string, toolInput.file_path, answer.result)) {
+    return;
+  }
+  const remaining = lib.remainingReferences(rename.from, answer.result, repoInfo.box_root || cwd);
+  const digest = lib.formatRenameFindings(rename, remaining);
+  if (!digest || lib.alreadyDelivered(input.session_id, 'rename', rename.from, digest)) return;
+  emit({
+    hookSpecificOutput: {
+      hookEventName: 'PostToolUse',
+      additionalContext: withRefreshNote(repoInfo.box_id, digest),
+    },
+  });
+}
+
+/**
+ * A def/search answer this session already received, unchanged: one line
+ * pointing back at it instead of the same digest again (a CHANGED answer
+ * is re-delivered in full — see lib.alreadyDelivered).
+ */
+function emitRepeatPointer(what) {
+  emit({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'allow',
+      additionalContext: `Noodlbox ${what}: already shown earlier in this session (unchanged).`,
+    },
+  });
 }
 
 /**
  * SessionStart handler - injects Noodlbox context and lists available repositories
  */
-function handleSessionStart(input) {
+async function handleSessionStart(input) {
   const source = input.source || 'startup';
 
   lib.debug('SessionStart:', { source });
 
-  // Only inject on fresh startup
+  // After compaction or on resume the agent has lost what startup gave
+  // it: re-inject the short form.
+  if (source === 'compact' || source === 'resume') {
+    await restoreSessionContext(input.cwd || process.cwd(), source, input.session_id);
+    return;
+  }
+
+  // Otherwise only inject on fresh startup
   if (source !== 'startup') {
     lib.debug('Skipping - not a fresh startup');
     return;
   }
 
+  const cwd = input.cwd || process.cwd();
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  if (repoInfo) {
+    lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name });
+  }
+
+  if (!lib.loadHookPolicy(cwd).channels.session_context) {
+    lib.debug('Skipping - session_context channel disabled by hook policy');
+    return;
+  }
+
   lib.debug('Initializing session...');
 
   // Trigger marketplace update in background
@@ -94,46 +570,250 @@ function handleSessionStart(input) {
     lib.debug('Loaded Noodlbox context from AGENTS.md');
   }
 
-  // List available repositories
-  const repoList = lib.listRepositories();
+  // List available repositories and the database schema (static, same for
+  // all repos) — independent calls, run concurrently. Either may come back
+  // null; neither is critical for startup.
+  lib.debug('Running noodl list + schema:', lib.NOODL_PATH);
+  const [repoList, schema] = await Promise.all([
+    lib.listRepositories(),
+    lib.runNoodlSchema(SCHEMA_TIMEOUT_MS),
+  ]);
   if (repoList) {
     contextParts.push(`<noodlbox-repositories>\n${repoList}\n</noodlbox-repositories>`);
     lib.debug('Loaded indexed repositories');
   }
-
-  // Run noodl schema to show database schema (static, same for all repos)
-  try {
-    lib.debug('Running noodl schema:', lib.NOODL_PATH);
-    const schemaResult = execFileSync(
-      lib.NOODL_PATH,
-      ['schema'],
-      { encoding: 'utf-8', timeout: SCHEMA_TIMEOUT_MS, stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-
-    if (schemaResult && schemaResult.trim().length > 0) {
-      contextParts.push(`<noodlbox-schema>\n${schemaResult.trim()}\n</noodlbox-schema>`);
-    }
-  } catch {
-    // Silently ignore - schema not critical for startup
+  if (schema) {
+    contextParts.push(`<noodlbox-schema>\n${schema}\n</noodlbox-schema>`);
   }
 
   // Output with systemMessage for user visibility
   if (contextParts.length > 0) {
-    console.log(JSON.stringify({
+    emit({
       systemMessage: `${BRAND} Session initialized`,
       hookSpecificOutput: {
         hookEventName: 'SessionStart',
         additionalContext: contextParts.join('\n\n')
       }
-    }));
+    });
+  }
+}
+
+/**
+ * SessionStart after `compact` or `resume`: what the agent lost, in brief
+ * — the core guidance and, inside a box, its name, how current its graph
+ * is and the verify findings still open (the whole audit, not the
+ * session's undelivered remainder: the delivered ones went with the
+ * compacted context). After a compaction, the working set PreCompact
+ * saved comes with it, and its findings stand in for a second audit run.
+ * No schema and no repository list, so a compacted context does not
+ * refill at once.
+ */
+async function restoreSessionContext(cwd, source, sessionId) {
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  if (repoInfo) {
+    lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name });
+  }
+  const policy = lib.loadHookPolicy(cwd);
+  if (!policy.channels.session_context) {
+    lib.debug('Skipping - session_context channel disabled by hook policy');
+    return;
+  }
+  lib.noteTelemetry({ route: `session-${source}` });
+
+  const contextParts = [`<noodlbox-context>\n${COMPACT_GUIDANCE}\n</noodlbox-context>`];
+  if (repoInfo) {
+    const head = lib.readGitHead(repoInfo.box_root || cwd);
+    const workingSet = source === 'compact' ? lib.takeWorkingSet(sessionId) : null;
+    const [freshness, audit] = await Promise.all([
+      freshnessLine(cwd, repoInfo, policy),
+      workingSet ? null : verifyDigest(cwd, sessionId, undefined, { full: true }),
+    ]);
+    const lines = [`Box: ${repoInfo.box_name}`];
+    lines.push(freshness || `Index: current${head ? ` at ${head.slice(0, 7)}` : ''}.`);
+    // null: the audit did not run, here or at PreCompact.
+    let findings = audit === false ? null : (audit ? audit.digest.trimEnd().split('\n') : []);
+    let more = findings ? Math.max(0, findings.length - COMPACT_MAX_FINDING_LINES) : 0;
+    if (findings) findings = findings.slice(0, COMPACT_MAX_FINDING_LINES);
+    if (workingSet) {
+      lines.push(...lib.formatWorkingSet(workingSet));
+      findings = workingSet.findings;
+      more = workingSet.moreFindings;
+    }
+    if (!findings) {
+      lines.push('Open verify findings: unknown — the audit could not run; `noodl verify --digest` lists them.');
+    } else if (findings.length) {
+      if (more) findings = [...findings, `… ${more} more lines — run \`noodl verify --digest\` for all of them.`];
+      lines.push(`Open verify findings:\n${findings.join('\n')}`);
+    } else {
+      lines.push('Open verify findings: none.');
+    }
+    contextParts.push(`<noodlbox-box>\n${lines.join('\n')}\n</noodlbox-box>`);
+  }
+  emit({
+    systemMessage: `${BRAND} Context restored after ${source}`,
+    hookSpecificOutput: {
+      hookEventName: 'SessionStart',
+      additionalContext: contextParts.join('\n\n'),
+    },
+  });
+}
+
+/**
+ * PreCompact handler - snapshots the session's graph working set (symbols
+ * looked up, questions searched, definitions edited, open verify findings)
+ * for the SessionStart that follows the compaction to re-inject. The
+ * host takes no context from PreCompact; the user is told it was kept.
+ */
+async function handlePreCompact(input) {
+  const cwd = input.cwd || process.cwd();
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  if (!repoInfo || !input.session_id) return;
+  lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name });
+  if (!lib.loadHookPolicy(cwd).channels.session_context) return;
+  lib.noteTelemetry({ route: 'working-set' });
+  const audit = await verifyDigest(cwd, input.session_id, undefined, { full: true });
+  const snapshot = lib.saveWorkingSet(
+    input.session_id,
+    audit === false ? null : (audit ? audit.digest.trimEnd().split('\n') : [])
+  );
+  const counts = [
+    [snapshot.defs.length, 'symbol'],
+    [snapshot.searches.length, 'search'],
+    [snapshot.edits.length, 'edited file'],
+  ].filter(([n]) => n).map(([n, what]) => `${n} ${what}${n === 1 ? '' : 's'}`);
+  if (counts.length) {
+    emit({ systemMessage: `${BRAND} Graph working set kept across compaction (${counts.join(', ')})` });
   }
 }
 
+/**
+ * UserPromptSubmit handler - the identifiers the user's prompt names,
+ * resolved through `noodl def` (the session cache) before the agent has
+ * looked anything up: their definition sites, up front. Names the graph
+ * does not know, or a prompt naming none, inject nothing.
+ */
+async function handleUserPromptSubmit(input) {
+  const cwd = input.cwd || process.cwd();
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  if (!repoInfo) return;
+  lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name });
+  const policy = lib.loadHookPolicy(cwd);
+  if (!policy.channels.prompt_context) return;
+  const names = lib.promptIdentifiers(input.prompt, policy.limits.prompt_max_identifiers);
+  if (!names.length) return;
+  lib.noteTelemetry({ route: 'prompt-context' });
+  const found = names.map((name) => ({ name }));
+  const failed = await resolveSymbols(cwd, input.session_id, repoInfo, found, (item) => item.name);
+  const digest = lib.formatPromptDefinitions(found);
+  if (!digest) {
+    if (failed) emitBreakerNotice(cwd);
+    return;
+  }
+  if (lib.alreadyDelivered(input.session_id, 'prompt', names.join(' '), digest)) return;
+  emit({
+    hookSpecificOutput: {
+      hookEventName: 'UserPromptSubmit',
+      additionalContext: await withFreshness(cwd, repoInfo, policy, digest),
+    },
+  });
+}
+
+/**
+ * Stop handler - a session that edited files since its last working-tree
+ * audit gets one more, findings-only (channel 'stop', every open finding).
+ * Findings left send the agent back to work with them as the reason, at
+ * most the policy's `stop_audit_max_blocks` times in a row.
+ */
+async function handleStop(input) {
+  const cwd = input.cwd || process.cwd();
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  if (!repoInfo) return;
+  lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name });
+  const policy = lib.loadHookPolicy(cwd);
+  if (!policy.channels.stop_audit) return;
+  const due = lib.stopAuditDue(
+    input.session_id,
+    input.stop_hook_active === true,
+    policy.limits.stop_audit_max_blocks
+  );
+  lib.noteTelemetry({ gate: { name: 'stop_audit', blocked: !due } });
+  if (!due) return;
+  lib.noteTelemetry({ route: 'stop-audit' });
+  const audit = await verifyDigest(cwd, input.session_id, 'stop', { full: true });
+  if (!audit) return;
+  lib.noteStopBlock(input.session_id);
+  emit({
+    decision: 'block',
+    reason: withRefreshNote(
+      repoInfo.box_id,
+      `Noodlbox stop audit (structural findings remain on your changes):\n${audit.digest.trimEnd()}\n`
+        + 'Resolve them, or say why they can stay, before finishing.'
+    ),
+  });
+}
+
+/**
+ * SubagentStop handler - the finished subagent's state is folded into its
+ * parent session's (lib.foldSubagentState): the answers and verify
+ * findings it was given, and the definitions it edited.
+ */
+function handleSubagentStop(input) {
+  const folded = lib.foldSubagentState(
+    input.session_id,
+    lib.subagentSessionId(input.session_id, input.agent_id)
+  );
+  if (folded.delivered || folded.edited) lib.noteTelemetry({ route: 'subagent-fold' });
+}
+
+/**
+ * Task/Agent launch: the subagent's prompt, prefixed with a primer — the
+ * verbs, the box and how current its graph is, and the symbols this
+ * session already resolved (those the prompt names first).
+ */
+async function primeSubagent(cwd, sessionId, repoInfo, policy, toolInput) {
+  if (typeof toolInput.prompt !== 'string' || !toolInput.prompt) return;
+  lib.noteTelemetry({ route: 'subagent-primer' });
+  const lines = [SUBAGENT_GUIDANCE, `Box: ${repoInfo.box_name}`];
+  const freshness = await freshnessLine(cwd, repoInfo, policy);
+  if (freshness) lines.push(freshness);
+  const symbols = lib.resolvedSymbols(sessionId, toolInput.prompt);
+  if (symbols.length) {
+    lines.push(`Already resolved in the parent session: ${symbols.map((s) => `${s.name} (${s.at})`).join(', ')}`);
+  }
+  emit({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'allow',
+      updatedInput: {
+        ...toolInput,
+        prompt: `<noodlbox-context>\n${lines.join('\n')}\n</noodlbox-context>\n\n${toolInput.prompt}`,
+      },
+    },
+  });
+}
+
+/**
+ * An Edit/Write that went through in a box: remember which definitions it
+ * touched, for the working set (box-relative path) and the Stop audit —
+ * only while one of their channels is on.
+ */
+function noteEdit(cwd, input) {
+  const repoInfo = lib.getIndexedRepoInfo(cwd);
+  const filePath = input.tool_input?.file_path;
+  if (!repoInfo || !filePath) return;
+  const { channels } = lib.loadHookPolicy(cwd);
+  if (!channels.session_context && !channels.stop_audit) return;
+  const rel = path.relative(repoInfo.box_root || cwd, path.resolve(cwd, filePath));
+  if (rel.startsWith('..') || path.isAbsolute(rel)) return;
+  const fragment = input.tool_name === 'Edit' ? input.tool_input.new_string : input.tool_input.content;
+  lib.noteEditedSymbols(input.session_id, rel, lib.editedDefinitions(lib.readFileText(filePath), fragment));
+}
+
 /**
  * PreToolUse handler - routes Grep/Bash patterns to noodl def/search by shape
  * Only runs for indexed repos - exits immediately otherwise.
  */
-function handlePreToolUse(input) {
+async function handlePreToolUse(input) {
   const cwd = input.cwd || process.cwd();
 
   // Check if repo is indexed FIRST - exit immediately if not
@@ -142,12 +822,26 @@ function handlePreToolUse(input) {
     lib.debug('Repo not indexed, skipping');
     return;
   }
+  lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name });
+  // A background analyze that failed since the last call: tell the user
+  // once, on whatever this call emits.
+  pendingNotice = lib.takeAnalyzeFailureNotice(repoInfo.box_id);
 
   const toolName = input.tool_name || '';
   const toolInput = input.tool_input || {};
+  const policy = lib.loadHookPolicy(cwd);
 
   lib.debug('PreToolUse:', { toolName, toolInput, cwd });
 
+  // Task/Agent: the subagent starts with none of this session's context;
+  // its prompt carries a primer instead.
+  if (toolName === 'Task' || toolName === 'Agent') {
+    if (policy.channels.subagent_context) {
+      await primeSubagent(cwd, input.session_id, repoInfo, policy, toolInput);
+    }
+    return;
+  }
+
   // Edit/Write prospectus auto-injection REMOVED (2026-07-19, Project 80
   // agent-channel trim): three sealed probes (Live8 0/4 acknowledgment,
   // Live3 0/3 completion, June packet_verify f2p fractions) showed
@@ -164,19 +858,102 @@ function handlePreToolUse(input) {
   // audit of the working tree, staleness-loud, findings-first. Never
   // blocks the tool; a clean "no findings" digest injects nothing.
   if (toolName === 'Bash' && lib.isCommitCommand(toolInput.command || '')) {
-    // Session dedup lives in the CLI at FINDING grain (delivery-rebuild
-    // P1): `noodl verify --session-id` suppresses already-delivered
-    // findings itself, so an unchanged report renders an empty digest
-    // and injectVerifyDigest's empty-stdout guard returns.
-    injectVerifyDigest(
+    // Beside the audit, and independent of it: the structural summary of
+    // what is being committed, for the agent to write the message from.
+    // Both run at once — on one hook deadline, a slow summary must not
+    // spend the time the (possibly gating) audit needs.
+    const scope = lib.commitSummaryScope(toolInput.command);
+    const summaryRun = policy.channels.change_summary
+      ? changeSummary(cwd, input.session_id, repoInfo, 'HEAD', scope,
+        scope === 'staged' ? 'staged changes' : 'changes being committed')
+      : null;
+    let auditRun = null;
+    if (policy.channels.commit_audit) {
+      // Session dedup lives in the CLI at FINDING grain (delivery-rebuild
+      // P1): `noodl verify --session-id` suppresses already-delivered
+      // findings itself, so an unchanged report renders an empty digest
+      // and verifyDigest's empty-stdout guard returns null.
+      // With the opt-in commit gate on, the audit runs WITHOUT the session
+      // id: a finding that blocked the last attempt must block the retry
+      // too, not be suppressed as already delivered.
+      lib.noteTelemetry({ route: 'commit-audit' });
+      const gated = policy.limits.commit_gate !== 'off';
+      auditRun = verifyDigest(
+        cwd,
+        input.session_id,
+        undefined,
+        { gate: gated ? policy.limits : null, full: gated }
+      );
+    }
+    const [summary, audit] = await Promise.all([summaryRun, auditRun]);
+    const sections = [];
+    if (summary) sections.push(summary);
+    if (audit) {
+      sections.push('Noodlbox commit audit (structural findings on the changes you are about to commit):\n'
+        + audit.digest);
+    }
+    if (sections.length) {
+      emitPreToolContext(withRefreshNote(repoInfo.box_id, sections.join('\n\n')), audit && audit.verdict);
+    }
+    return;
+  }
+
+  // Bash `git push`: the same audit over the commits about to be
+  // published (upstream..HEAD), which no single commit-boundary audit saw
+  // together. Nothing to push, or a range git cannot resolve, audits
+  // nothing.
+  const push = toolName === 'Bash' ? lib.isPushCommand(toolInput.command || '') : null;
+  if (push) {
+    if (!policy.channels.push_audit) return;
+    const range = await lib.resolvePushRange(cwd, push);
+    if (!range) return;
+    lib.noteTelemetry({ route: 'push-audit' });
+    const count = range.commits.length;
+    await injectVerifyDigest(
       cwd,
       input.session_id,
       undefined,
-      'Noodlbox commit audit (structural findings on the changes you are about to commit):\n'
+      withRefreshNote(
+        repoInfo.box_id,
+        `Noodlbox pre-push audit (structural findings on the ${count} commit${count === 1 ? '' : 's'}`
+          + ` you are about to push, ${range.base.slice(0, 7)}..${range.head.slice(0, 7)}):\n`
+      ),
+      { range }
     );
     return;
   }
 
+  // Bash `gh pr create`: the change summary of the branch the PR
+  // proposes, for the agent to write the description from. Context only —
+  // the findings were the commit and push audits' to deliver.
+  const pr = toolName === 'Bash' ? lib.isPrCreateCommand(toolInput.command || '') : null;
+  if (pr) {
+    if (!policy.channels.change_summary) return;
+    const range = await lib.resolvePrRange(cwd, pr);
+    if (!range) return;
+    lib.noteTelemetry({ route: 'change-summary' });
+    const summary = await changeSummary(
+      cwd,
+      input.session_id,
+      repoInfo,
+      range.base,
+      range.head,
+      `branch ${range.base.slice(0, 7)}..${range.head.slice(0, 7)}`
+    );
+    if (summary) emitPreToolContext(withRefreshNote(repoInfo.box_id, summary));
+    return;
+  }
+
+  // Bash test run without a filter: name the tests that reach the changed
+  // definitions, and the runner's filter for them. The command runs as is.
+  const testRun = toolName === 'Bash' ? lib.testRunnerCommand(toolInput.command || '') : null;
+  if (testRun) {
+    if (policy.channels.test_selection && !testRun.filtered) {
+      await injectTestSelection(cwd, input.session_id, repoInfo, testRun);
+    }
+    return;
+  }
+
   // Edit/Write: the MID-EDIT nudge (delivery-rebuild P3) — the same
   // strict findings the commit audit delivers, but at the moment the
   // agent is still editing, so an incomplete propagation surfaces while
@@ -185,14 +962,29 @@ function handlePreToolUse(input) {
   // per session (P1) and renders findings-only (no banners — wall W5);
   // midEditDue throttles the RUN cost. Never blocks the tool.
   if (toolName === 'Edit' || toolName === 'Write') {
-    if (!lib.midEditDue(input.session_id)) {
+    // An Edit that changes a definition's signature gets its call sites,
+    // and an Edit/Write that deletes a still-referenced definition gets its
+    // references, now — not at the next throttled whole-tree audit. When
+    // they deliver, the mid-edit nudge waits for the next edit (one
+    // response per call).
+    if (await injectEditGuards(cwd, input.session_id, repoInfo, toolName, toolInput, policy)) {
+      return;
+    }
+    if (!policy.channels.mid_edit) return;
+    const due = lib.midEditDue(input.session_id, policy.limits.mid_edit_min_interval_ms);
+    lib.noteTelemetry({ gate: { name: 'mid_edit', blocked: !due } });
+    if (!due) {
       return;
     }
-    injectVerifyDigest(
+    lib.noteTelemetry({ route: 'mid-edit' });
+    await injectVerifyDigest(
       cwd,
       input.session_id,
       'mid-edit',
-      'Noodlbox mid-edit audit (structural findings on your working tree so far):\n'
+      withRefreshNote(
+        repoInfo.box_id,
+        'Noodlbox mid-edit audit (structural findings on your working tree so far):\n'
+      )
     );
     return;
   }
@@ -214,42 +1006,99 @@ function handlePreToolUse(input) {
 
   if (!route) {
     lib.debug('Pattern earns no graph answer, allowing builtin');
+    const pattern = toolName === 'Grep'
+      ? toolInput.pattern
+      : lib.bashSearchPattern(toolInput.command || '');
+    lib.noteTelemetry({
+      decline: pattern === null ? 'not-a-search' : lib.routeDeclineReason(pattern),
+    });
+    return;
+  }
+  if (!policy.channels[route.verb]) {
+    lib.debug(`${route.verb} channel disabled by hook policy`);
+    lib.noteTelemetry({ decline: 'policy' });
     return;
   }
+  lib.noteTelemetry({ route: route.verb });
   lib.debug(`Routing ${route.verb}:`, route.term);
 
+  // Repeats of the same question within a session are served from the
+  // session result cache (keyed by box, HEAD, verb, term; expired by a
+  // post-commit analyze or a change to any file the answer names). Every
+  // answer says which path it took so the hit rate is measurable.
+  const query = {
+    verb: route.verb,
+    term: route.term,
+    cwd,
+    sessionId: input.session_id,
+    repoInfo,
+  };
+
   if (route.verb === 'def') {
-    const defResult = lib.runNoodlDef(route.term, cwd);
-    if (!defResult.success) return; // fail-open: empty output = allow
-    const digest = lib.formatDefContext(route.term, defResult.result);
+    const defResult = await lib.cachedGraphQuery(query, () => lib.runNoodlDef(route.term, cwd));
+    lib.noteTelemetry({ cached: Boolean(defResult.cached) });
+    if (!defResult.success) {
+      emitBreakerNotice(cwd);
+      return; // fail-open: otherwise empty output = allow
+    }
+    const digest = lib.formatDefContext(
+      route.term,
+      defResult.result,
+      policy.limits.def_max_edges_per_category
+    );
     if (!digest) return; // located nothing → inject nothing
-    console.log(JSON.stringify({
-      systemMessage: `\n${BRAND} ${digest}`,
+    if (lib.alreadyDelivered(input.session_id, 'def', route.term, digest)) {
+      lib.noteTelemetry({ repeat: true });
+      emitRepeatPointer(`definition of "${route.term}"`);
+      return;
+    }
+    const source = defResult.cached
+      ? '(cached)'
+      : `(${defResult.elapsed}ms)`;
+    emit({
+      systemMessage: `\n${BRAND} ${source} ${digest}`,
       hookSpecificOutput: {
         hookEventName: 'PreToolUse',
         permissionDecision: 'allow',
-        additionalContext: digest,
+        additionalContext: await withFreshness(cwd, repoInfo, policy, digest),
       },
-    }));
+    });
     return;
   }
 
   // route.verb === 'search'
-  const searchResult = lib.runNoodlSearch(route.term, cwd);
+  const searchResult = await lib.cachedGraphQuery(query, () => lib.runNoodlSearch(route.term, cwd));
+  lib.noteTelemetry({ cached: Boolean(searchResult.cached) });
   if (searchResult.success) {
-    lib.debug(`Found results in ${searchResult.elapsed}ms`);
+    lib.debug(`Found results in ${searchResult.elapsed}ms`, { cached: searchResult.cached });
+    if (lib.alreadyDelivered(input.session_id, 'search', route.term, searchResult.result)) {
+      lib.noteTelemetry({ repeat: true });
+      emitRepeatPointer(`search for "${route.term}"`);
+      return;
+    }
     const searchInfo = lib.parseSearchResults(searchResult.result);
-    const userMessage = lib.formatSearchMessage(route.term, searchInfo, searchResult.elapsed);
-    console.log(JSON.stringify({
+    const userMessage = lib.formatSearchMessage(
+      route.term,
+      searchInfo,
+      searchResult.elapsed,
+      { cached: searchResult.cached }
+    );
+    emit({
       systemMessage: `\n${BRAND} ${userMessage}`,
       hookSpecificOutput: {
         hookEventName: 'PreToolUse',
         permissionDecision: 'allow',
-        additionalContext: `Noodlbox search for "${route.term}":\n${searchResult.result}`,
+        additionalContext: await withFreshness(
+          cwd,
+          repoInfo,
+          policy,
+          `Noodlbox search for "${route.term}":\n${searchResult.result}`
+        ),
       },
-    }));
+    });
   }
   // On failure, empty output = allow fallback
+  if (!searchResult.success) emitBreakerNotice(cwd);
 }
 
 /**
@@ -270,7 +1119,7 @@ function commitVisiblyFailed(toolResponse) {
   return typeof code === 'number' && code !== 0;
 }
 
-function handlePostToolUse(input) {
+async function handlePostToolUse(input) {
   const toolName = input.tool_name || '';
   const toolResponse = input.tool_response || '';
 
@@ -287,15 +1136,51 @@ function handlePostToolUse(input) {
   // failing: claiming the debounce window on a REJECTED commit
   // (pre-commit hook, nothing-to-commit) would skip the re-analyze for
   // the real commit that follows within the window.
+  // The same holds for every other command that moves HEAD — merge,
+  // rebase, pull, cherry-pick, reset, checkout/switch of a branch: each
+  // leaves the analyzed baseline behind for the rest of the session, so
+  // each takes the same debounced re-analyze under the same guards.
   const cwd = input.cwd || process.cwd();
-  if (toolName === 'Bash' && lib.isCommitCommand(input.tool_input?.command || '')) {
+  const command = input.tool_input?.command || '';
+
+  // An edit that went through: part of the session's working set.
+  if ((toolName === 'Edit' || toolName === 'Write') && input.session_id) {
+    noteEdit(cwd, input);
+  }
+
+  if (toolName === 'Bash' && (lib.isCommitCommand(command) || lib.isHeadMovingCommand(command))) {
     const failed = commitVisiblyFailed(input.tool_response);
-    if (!failed && lib.getIndexedRepoInfo(cwd) && lib.postCommitAnalyzeDue(cwd)) {
-      lib.spawnPostCommitAnalyze(cwd);
+    const repoInfo = !failed && lib.getIndexedRepoInfo(cwd);
+    if (repoInfo && lib.loadHookPolicy(cwd).channels.post_commit_analyze) {
+      lib.noteTelemetry({ box: repoInfo.box_id, box_name: repoInfo.box_name, route: 'post-commit-analyze' });
+      const due = lib.postCommitAnalyzeDue(cwd);
+      lib.noteTelemetry({ gate: { name: 'post_commit_analyze', blocked: !due } });
+      if (due) {
+        lib.spawnPostCommitAnalyze(cwd, repoInfo.box_id);
+      }
     }
     return;
   }
 
+  // An in-place rename (sed -i / perl -pi) or an identifier-swapping Edit
+  // that went through: report the references to the old name it left.
+  const rename = toolName === 'Bash'
+    ? lib.renameFromBashCommand(command)
+    : toolName === 'Edit'
+      ? lib.renameFromEdit(input.tool_input?.old_string, input.tool_input?.new_string)
+      : null;
+  if (rename && !commitVisiblyFailed(input.tool_response)) {
+    await injectRenameFindings(cwd, input, rename);
+    return;
+  }
+
+  // A Bash command that failed with a stack trace: the in-repo frames with
+  // their definitions and callers, so the agent does not grep them one by one.
+  if (toolName === 'Bash' && commitVisiblyFailed(input.tool_response)) {
+    await injectFailureContext(cwd, input);
+    return;
+  }
+
   // Only handle legacy query_with_context tool results.
   if (!toolName.includes('query_with_context')) {
     return;
@@ -326,31 +1211,66 @@ function handlePostToolUse(input) {
                      (searchInfo.documents && searchInfo.documents.length > 0);
 
   if (hasContent) {
-    console.log(JSON.stringify({
+    emit({
       systemMessage: `\n${BRAND} ${userMessage}`,
       hookSpecificOutput: {
         hookEventName: 'PostToolUse',
         additionalContext: `Noodlbox search for "${query}":\n${userMessage}`
       }
-    }));
+    });
   }
 }
 
-function main() {
+/**
+ * `node noodlbox.js stats` — summarize the local hook telemetry per box
+ * per day (route mix, noodl latency p50/p95, timeout rate, injection
+ * volume). A human command, not a hook: reads no stdin.
+ */
+function printStats() {
+  console.log(lib.formatTelemetryStats(lib.summarizeTelemetry(lib.readTelemetry())));
+}
+
+async function main() {
+  if (process.argv[2] === 'stats') {
+    printStats();
+    return;
+  }
   try {
     const input = lib.readInput();
     const hookEvent = input.hook_event_name || '';
+    lib.beginTelemetry({
+      event: hookEvent,
+      tool: input.tool_name || null,
+      session: input.session_id || null,
+    });
+    lib.beginDeadline(lib.hostBudgetMs(loadHooksConfig(), hookEvent, input.tool_name));
+    // Inside a subagent, per-session state is the subagent's own until
+    // SubagentStop folds it into the parent's.
+    if (input.agent_id && hookEvent !== 'SubagentStop') {
+      input.session_id = lib.subagentSessionId(input.session_id, input.agent_id) || input.session_id;
+    }
 
     if (hookEvent === 'SessionStart') {
-      handleSessionStart(input);
+      await handleSessionStart(input);
     } else if (hookEvent === 'PreToolUse') {
-      handlePreToolUse(input);
+      await handlePreToolUse(input);
     } else if (hookEvent === 'PostToolUse') {
-      handlePostToolUse(input);
+      await handlePostToolUse(input);
+    } else if (hookEvent === 'PreCompact') {
+      await handlePreCompact(input);
+    } else if (hookEvent === 'Stop') {
+      await handleStop(input);
+    } else if (hookEvent === 'UserPromptSubmit') {
+      await handleUserPromptSubmit(input);
+    } else if (hookEvent === 'SubagentStop') {
+      handleSubagentStop(input);
     }
+    flushPendingNotice();
   } catch (e) {
     lib.debug('Hook error:', e.message);
     // Exit silently on any error
+  } finally {
+    lib.flushTelemetry();
   }
 }
 
@@ -362,6 +1282,12 @@ if (require.main === module) {
 
 module.exports = {
   commitVisiblyFailed,
+  flushPendingNotice,
   handlePostToolUse,
+  handlePreCompact,
   handlePreToolUse,
+  handleSessionStart,
+  handleStop,
+  handleSubagentStop,
+  handleUserPromptSubmit,
 };
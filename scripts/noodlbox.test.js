@@ -17,14 +17,14 @@ const path = require('path');
 const lib = require(path.join(__dirname, '../shared/hooks/lib.js'));
 const hook = require('./noodlbox.js');
 
-function withStubs(stubs, fn) {
+async function withStubs(stubs, fn) {
   const saved = {};
   for (const [name, impl] of Object.entries(stubs)) {
     saved[name] = lib[name];
     lib[name] = impl;
   }
   try {
-    fn();
+    await fn();
   } finally {
     for (const [name, impl] of Object.entries(saved)) {
       lib[name] = impl;
@@ -32,9 +32,9 @@ function withStubs(stubs, fn) {
   }
 }
 
-test('PostToolUse: successful git commit in an indexed repo spawns the re-analyze', () => {
+test('PostToolUse: successful git commit in an indexed repo spawns the re-analyze', async () => {
   let spawned = 0;
-  withStubs(
+  await withStubs(
     {
       getIndexedRepoInfo: () => ({ boxId: 'test' }),
       postCommitAnalyzeDue: () => true,
@@ -55,9 +55,9 @@ test('PostToolUse: successful git commit in an indexed repo spawns the re-analyz
   assert.equal(spawned, 1);
 });
 
-test('PostToolUse: non-commit Bash never spawns', () => {
+test('PostToolUse: non-commit Bash never spawns', async () => {
   let spawned = 0;
-  withStubs(
+  await withStubs(
     {
       getIndexedRepoInfo: () => ({ boxId: 'test' }),
       postCommitAnalyzeDue: () => true,
@@ -78,9 +78,9 @@ test('PostToolUse: non-commit Bash never spawns', () => {
   assert.equal(spawned, 0);
 });
 
-test('PostToolUse: unindexed repo never spawns (global plugin, unrelated repos)', () => {
+test('PostToolUse: unindexed repo never spawns (global plugin, unrelated repos)', async () => {
   let spawned = 0;
-  withStubs(
+  await withStubs(
     {
       getIndexedRepoInfo: () => null,
       postCommitAnalyzeDue: () => true,
@@ -101,10 +101,10 @@ test('PostToolUse: unindexed repo never spawns (global plugin, unrelated repos)'
   assert.equal(spawned, 0);
 });
 
-test('PostToolUse: visibly failed commit neither spawns nor claims the debounce window', () => {
+test('PostToolUse: visibly failed commit neither spawns nor claims the debounce window', async () => {
   let spawned = 0;
   let windowClaimed = 0;
-  withStubs(
+  await withStubs(
     {
       getIndexedRepoInfo: () => ({ boxId: 'test' }),
       postCommitAnalyzeDue: () => {
@@ -138,3 +138,1487 @@ test('commitVisiblyFailed: fails open on unknown response shapes', () => {
   assert.equal(hook.commitVisiblyFailed({ exitCode: 1 }), true);
   assert.equal(hook.commitVisiblyFailed({ interrupted: true }), true);
 });
+
+function policyWith(overrides) {
+  const policy = lib.defaultHookPolicy();
+  Object.assign(policy.channels, overrides.channels || {});
+  Object.assign(policy.limits, overrides.limits || {});
+  return policy;
+}
+
+test('loadHookPolicy: box hooks.toml overrides channels and limits; invalid values keep defaults', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const boxRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-policy-'));
+  fs.mkdirSync(path.join(boxRoot, '.nbx'));
+  fs.writeFileSync(path.join(boxRoot, '.nbx', 'nbx.toml'), '[box_meta]\n');
+  fs.writeFileSync(path.join(boxRoot, '.nbx', 'hooks.toml'), [
+    '[channels]',
+    'def = false',
+    'mid_edit = "no"          # not a boolean',
+    '',
+    '[limits]',
+    'search_timeout_ms = 2_500',
+    'search_limit = 0         # below the floor',
+    'search_intent = "explore"',
+  ].join('\n'));
+  try {
+    const defaults = lib.defaultHookPolicy();
+    const policy = lib.loadHookPolicy(boxRoot);
+    assert.equal(policy.channels.def, false);
+    assert.equal(policy.channels.search, true);
+    assert.equal(policy.channels.mid_edit, defaults.channels.mid_edit);
+    assert.equal(policy.limits.search_timeout_ms, 2500);
+    assert.equal(policy.limits.search_limit, defaults.limits.search_limit);
+    assert.equal(policy.limits.search_intent, 'explore');
+  } finally {
+    fs.rmSync(boxRoot, { recursive: true, force: true });
+  }
+});
+
+test('PreToolUse: a channel disabled by hook policy runs no graph command', async () => {
+  let defRuns = 0;
+  await withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'test' }),
+      loadHookPolicy: () => policyWith({ channels: { def: false } }),
+      runNoodlDef: () => {
+        defRuns += 1;
+        return { success: false };
+      },
+    },
+    async () => {
+      await hook.handlePreToolUse({
+        tool_name: 'Grep',
+        tool_input: { pattern: 'LanceStorage' },
+        cwd: '/tmp/repo',
+      });
+    }
+  );
+  assert.equal(defRuns, 0);
+});
+
+test('cachedGraphQuery: repeats hit the session cache until a named file changes', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const boxRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-cache-'));
+  const sessionId = `test-${process.pid}-${Date.now()}`;
+  fs.writeFileSync(path.join(boxRoot, 'storage.rs'), 'struct LanceStorage;\n');
+  const answer = JSON.stringify({ symbol: { file_path: 'storage.rs', start_line: 1 } });
+  let runs = 0;
+  const run = () => {
+    runs += 1;
+    return { success: true, result: answer, elapsed: 7 };
+  };
+  const query = {
+    verb: 'def',
+    term: 'LanceStorage',
+    cwd: boxRoot,
+    sessionId,
+    repoInfo: { box_id: 'cache-test-box', box_root: boxRoot },
+  };
+  try {
+    assert.equal((await lib.cachedGraphQuery(query, run)).cached, false);
+    const hit = await lib.cachedGraphQuery(query, run);
+    assert.equal(hit.cached, true);
+    assert.equal(hit.result, answer);
+    assert.equal(runs, 1);
+
+    fs.appendFileSync(path.join(boxRoot, 'storage.rs'), 'impl LanceStorage {}\n');
+    assert.equal((await lib.cachedGraphQuery(query, run)).cached, false);
+    assert.equal(runs, 2);
+  } finally {
+    fs.rmSync(boxRoot, { recursive: true, force: true });
+    fs.rmSync(lib.resultCachePath(sessionId), { force: true });
+  }
+});
+
+async function captureOutput(fn) {
+  const lines = [];
+  const saved = console.log;
+  console.log = (line) => lines.push(JSON.parse(line));
+  try {
+    await fn();
+  } finally {
+    console.log = saved;
+  }
+  return lines;
+}
+
+test('PreToolUse: an unchanged def answer is a one-line pointer on repeat, a changed one re-delivers', async () => {
+  const fs = require('fs');
+  const sessionId = `test-dedup-${process.pid}-${Date.now()}`;
+  let line = 10;
+  const defAnswer = () => JSON.stringify({
+    symbol: { file_path: 'src/storage.rs', start_line: line, name: 'LanceStorage', kind: 'struct' },
+  });
+  const grep = () => hook.handlePreToolUse({
+    tool_name: 'Grep',
+    tool_input: { pattern: 'LanceStorage' },
+    cwd: '/tmp/repo',
+    session_id: sessionId,
+  });
+  try {
+    const out = [];
+    await withStubs(
+      {
+        getIndexedRepoInfo: () => ({ box_id: 'test' }),
+        cachedGraphQuery: (query, run) => ({ ...run(), cached: false }),
+        runNoodlDef: () => ({ success: true, result: defAnswer(), elapsed: 1 }),
+      },
+      async () => {
+        out.push(...(await captureOutput(grep)));
+        out.push(...(await captureOutput(grep)));
+        line = 12;
+        out.push(...(await captureOutput(grep)));
+      }
+    );
+    assert.equal(out.length, 3);
+    assert.match(out[0].hookSpecificOutput.additionalContext, /storage\.rs:10/);
+    assert.match(out[1].hookSpecificOutput.additionalContext, /already shown earlier in this session/);
+    assert.equal(out[1].systemMessage, undefined);
+    assert.match(out[2].hookSpecificOutput.additionalContext, /storage\.rs:12/);
+  } finally {
+    fs.rmSync(lib.deliveryLedgerPath(sessionId), { force: true });
+  }
+});
+
+test('summarizeTelemetry: groups per box per day with route mix, latency percentiles and timeouts', () => {
+  const record = (ts, fields) => ({ ts, box: 'b0x-1', box_name: 'demo', routes: [], gates: [], calls: [], ...fields });
+  const summary = lib.summarizeTelemetry([
+    record('2026-10-18T09:00:00.000Z', { routes: ['def'], calls: [{ verb: 'def', ms: 100, ok: true }], injected_bytes: 300 }),
+    record('2026-10-18T09:01:00.000Z', { routes: ['def'], calls: [{ verb: 'def', ms: 5000, ok: false, timeout: true }] }),
+    record('2026-10-18T09:02:00.000Z', { decline: 'regex' }),
+    record('2026-10-18T09:03:00.000Z', {
+      routes: ['signature-guard', 'mid-edit'],
+      gates: [{ name: 'mid_edit', blocked: false }, { name: 'stop_audit', blocked: true }],
+    }),
+    { ts: '2026-10-18T09:04:00.000Z', box: 'b0x-1', route: 'def', gate: { name: 'mid_edit', blocked: true }, calls: [] },
+    record('2026-10-19T10:00:00.000Z', { routes: ['search'], calls: [{ verb: 'search', ms: 40, ok: true }], injected_bytes: 1024 }),
+    { ts: '2026-10-19T10:00:00.000Z', calls: [] }, // no box: never counted
+  ]);
+  assert.equal(summary.length, 2);
+  const [first, second] = summary;
+  assert.equal(first.day, '2026-10-18');
+  assert.equal(first.invocations, 5);
+  assert.deepEqual(first.routes, { def: 3, 'declined:regex': 1, 'signature-guard': 1, 'mid-edit': 1 });
+  assert.deepEqual(first.gates, { stop_audit: 1, mid_edit: 1 });
+  assert.equal(first.p50, 100);
+  assert.equal(first.p95, 5000);
+  assert.equal(first.timeoutRate, 0.5);
+  assert.equal(first.injections, 1);
+  assert.equal(second.injectedBytes, 1024);
+  assert.match(lib.formatTelemetryStats(summary), /demo \(b0x-1\) · 2026-10-19/);
+});
+
+test('noteTelemetry: every route and gate of one invocation is kept', () => {
+  lib.beginTelemetry({ event: 'PreToolUse', tool: 'Edit' });
+  lib.noteTelemetry({ box: 'b0x-1', route: 'signature-guard' });
+  lib.noteTelemetry({ gate: { name: 'mid_edit', blocked: false } });
+  lib.noteTelemetry({ route: 'mid-edit' });
+  lib.noteTelemetry({ gate: { name: 'stop_audit', blocked: true } });
+  const fs = require('fs');
+  const os = require('os');
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-telemetry-'));
+  const saved = os.homedir;
+  os.homedir = () => home;
+  try {
+    lib.flushTelemetry();
+    const [line] = lib.readTelemetry();
+    assert.deepEqual(line.routes, ['signature-guard', 'mid-edit']);
+    assert.deepEqual(line.gates.map((gate) => gate.name), ['mid_edit', 'stop_audit']);
+  } finally {
+    os.homedir = saved;
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+});
+
+test('circuit breaker: opens after consecutive failures, notifies once, ignores not-found answers', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const boxRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-breaker-'));
+  fs.mkdirSync(path.join(boxRoot, '.nbx'));
+  const boxId = require('crypto').randomUUID();
+  fs.writeFileSync(path.join(boxRoot, '.nbx', 'nbx.toml'), `[box_meta]\nid = "${boxId}"\n`);
+  const timeout = { success: false, timedOut: true };
+  const notFound = { success: false, notIndexed: true, stderr: 'symbol not found' };
+  try {
+    lib.recordBreakerOutcome(boxRoot, 'def', timeout);
+    lib.recordBreakerOutcome(boxRoot, 'def', notFound); // an answer, not a failure: resets
+    lib.recordBreakerOutcome(boxRoot, 'def', timeout);
+    lib.recordBreakerOutcome(boxRoot, 'search', timeout);
+    assert.equal(lib.breakerAllows(boxRoot), true);
+    assert.equal(lib.takeBreakerNotice(boxRoot), null);
+
+    lib.recordBreakerOutcome(boxRoot, 'def', timeout);
+    assert.equal(lib.breakerAllows(boxRoot), false);
+    assert.match(lib.takeBreakerNotice(boxRoot), /paused .* 3 consecutive noodl failures .*timed out/);
+    assert.equal(lib.takeBreakerNotice(boxRoot), null, 'one notice per open episode');
+
+    lib.recordBreakerOutcome(boxRoot, 'def', { success: true });
+    assert.equal(lib.breakerAllows(boxRoot), true);
+  } finally {
+    fs.rmSync(lib.breakerStatePath(boxRoot), { force: true });
+    fs.rmSync(boxRoot, { recursive: true, force: true });
+  }
+});
+
+test('NoodlClient: parses JSON, classifies timeouts and not-indexed, honours deadlines', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { NoodlClient } = require(path.join(__dirname, '../shared/hooks/noodl-client.js'));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-client-'));
+  const binary = path.join(dir, 'noodl');
+  fs.writeFileSync(binary, [
+    '#!/usr/bin/env node',
+    'const verb = process.argv[2];',
+    "if (verb === 'def') console.log(JSON.stringify({ status: 'ok', box: process.argv[5] }));",
+    "if (verb === 'search') console.log('plain text');",
+    "if (verb === 'list') { console.error('No analyzed repository'); process.exit(1); }",
+    "if (verb === 'schema') setTimeout(() => {}, 5000);",
+  ].join('\n'));
+  fs.chmodSync(binary, 0o755);
+  try {
+    const client = new NoodlClient({ binary });
+    const [def, search, list, schema] = await Promise.all([
+      client.def('Foo', dir),
+      client.search('how does it work', dir),
+      client.list(),
+      client.schema({ timeoutMs: 200 }),
+    ]);
+    assert.equal(def.success, true);
+    assert.deepEqual(def.data, { status: 'ok', box: fs.realpathSync(dir) });
+    assert.equal(search.success, false, 'non-JSON output from a JSON verb is a failure');
+    assert.equal(list.notIndexed, true);
+    assert.equal(schema.timedOut, true);
+
+    const expired = await client.def('Foo', dir, { deadline: Date.now() - 1 });
+    assert.equal(expired.timedOut, true);
+
+    const missing = await new NoodlClient({ binary: path.join(dir, 'absent') }).list();
+    assert.equal(missing.success, false);
+    assert.equal(missing.error.code, 'ENOENT');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('hostBudgetMs: reads each event budget from hooks.json', () => {
+  const fs = require('fs');
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../hooks/hooks.json'), 'utf-8'));
+  assert.equal(lib.hostBudgetMs(config, 'PreToolUse', 'Grep'), 30000);
+  assert.equal(lib.hostBudgetMs(config, 'PreToolUse', 'Edit'), 15000);
+  assert.equal(lib.hostBudgetMs(config, 'PostToolUse', 'Read'), 10000);
+  assert.equal(lib.hostBudgetMs(config, 'Unregistered', 'Grep'), 60000);
+  assert.equal(lib.hostBudgetMs(null, 'PreToolUse', 'Grep'), 60000);
+});
+
+test('PreToolUse: a commit audit cut off by the hook deadline delivers its partial findings', async () => {
+  let out = [];
+  await withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'test' }),
+      runNoodlVerifyDigest: async () => ({
+        success: false,
+        timedOut: true,
+        cutByDeadline: true,
+        partial: 'removed symbol `parse` still referenced at a.js:3\n',
+        result: '',
+      }),
+    },
+    async () => {
+      out = await captureOutput(() => hook.handlePreToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: 'git commit -m x' },
+        cwd: '/tmp/repo',
+      }));
+    }
+  );
+  assert.equal(out.length, 1);
+  const context = out[0].hookSpecificOutput.additionalContext;
+  assert.match(context, /still referenced at a\.js:3/);
+  assert.match(context, /incomplete: the audit ran out of hook time/);
+});
+
+test('isHeadMovingCommand: HEAD-moving git commands at command positions only', () => {
+  for (const command of [
+    'git merge feature-x',
+    'git pull --rebase',
+    'git rebase -i HEAD~3',
+    'git cherry-pick abc1234',
+    'git reset --hard origin/main',
+    'git reset HEAD~1',
+    'git reset origin/main',
+    'git reset -q feature/login',
+    'git checkout feature-x',
+    'git checkout -b new-branch',
+    'git switch main',
+    'GIT_EDITOR=true git -C repo rebase --continue',
+    'git fetch && git merge origin/main',
+  ]) {
+    assert.equal(lib.isHeadMovingCommand(command), true, command);
+  }
+  for (const command of [
+    'git status',
+    'git commit -m "merge later"',
+    'git checkout -- src/a.js',
+    'git checkout main -- src/a.js',
+    'git checkout .',
+    'git reset src/a.js',
+    'git reset origin/main -- src/a.js',
+    'git reset HEAD~1 src/a.js',
+    'git reset ./lib',
+    'git log --grep rebase',
+    'echo "git merge x"',
+    'git help merge',
+  ]) {
+    assert.equal(lib.isHeadMovingCommand(command), false, command);
+  }
+});
+
+test('PostToolUse: a HEAD-moving command re-analyzes like a commit', async () => {
+  let spawned = 0;
+  await withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'test' }),
+      postCommitAnalyzeDue: () => true,
+      spawnPostCommitAnalyze: () => {
+        spawned += 1;
+        return true;
+      },
+    },
+    () => {
+      hook.handlePostToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: 'git pull' },
+        tool_response: { exit_code: 0 },
+        cwd: '/tmp/repo',
+      });
+      hook.handlePostToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: 'git rebase main' },
+        tool_response: { exit_code: 1 },
+        cwd: '/tmp/repo',
+      });
+    }
+  );
+  assert.equal(spawned, 1, 'a visibly failed rebase does not spawn');
+});
+
+test('background analyze: status file drives the refresh note and a one-time failure notice', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { spawnSync } = require('child_process');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-analyze-'));
+  const binary = path.join(dir, 'noodl');
+  fs.writeFileSync(binary, "#!/usr/bin/env node\nconsole.error('error: lock held by another analyze');\nprocess.exit(3);\n");
+  fs.chmodSync(binary, 0o755);
+  const boxId = `analyze-test-${process.pid}`;
+  const statusPath = lib.analyzeStatusPath(boxId);
+  const write = (status) => fs.writeFileSync(statusPath, JSON.stringify(status));
+  try {
+    write({ runId: 'r1', state: 'running', startedAt: Date.now(), target: 'b'.repeat(40), baseline: 'a'.repeat(40), pid: process.pid });
+    assert.equal(lib.analyzeRefreshNote(boxId), 'Noodlbox index refreshing — results reflect aaaaaaa.');
+
+    write({ runId: 'r1', state: 'running', startedAt: Date.now(), target: 'b'.repeat(40), baseline: null, pid: 2 ** 22 + 1 });
+    assert.equal(lib.readAnalyzeStatus(boxId).state, 'abandoned', 'a dead runner is not refreshing');
+    assert.equal(lib.analyzeRefreshNote(boxId), null);
+
+    write({ runId: 'r2', state: 'running', startedAt: Date.now(), target: 'b'.repeat(40), baseline: 'a'.repeat(40), pid: null });
+    spawnSync(process.execPath, [path.join(__dirname, '../shared/hooks/noodl-analyze.js'), statusPath, 'r2', dir], {
+      env: { ...process.env, NOODLBOX_CLI_PATH: binary },
+      timeout: 10000,
+    });
+    const status = lib.readAnalyzeStatus(boxId);
+    assert.equal(status.state, 'failed');
+    assert.equal(status.reason, 'error: lock held by another analyze');
+    assert.equal(lib.analyzeRefreshNote(boxId), null);
+
+    const notice = lib.takeAnalyzeFailureNotice(boxId);
+    assert.match(notice, /re-analyze of bbbbbbb failed \(error: lock held by another analyze\)/);
+    assert.match(notice, /still reflect aaaaaaa/);
+    assert.equal(lib.takeAnalyzeFailureNotice(boxId), null, 'reported once');
+  } finally {
+    fs.rmSync(statusPath, { force: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('isPushCommand: remote and publishing refspecs; deletes, every-ref pushes and other repos are not pushes', () => {
+  assert.deepEqual(lib.isPushCommand('git push'), { remote: null, refspecs: [] });
+  assert.deepEqual(lib.isPushCommand('git push -u origin feature'), { remote: 'origin', refspecs: ['feature'] });
+  assert.deepEqual(
+    lib.isPushCommand('git commit -m x && git push --force-with-lease -o ci.skip origin HEAD:main'),
+    { remote: 'origin', refspecs: ['HEAD:main'] }
+  );
+  assert.equal(lib.isPushCommand('git push origin --delete old'), null);
+  assert.equal(lib.isPushCommand('git push origin :old'), null);
+  assert.equal(lib.isPushCommand('git push --all origin'), null);
+  assert.equal(lib.isPushCommand('git push --mirror backup'), null);
+  assert.equal(lib.isPushCommand('git push --tags'), null);
+  assert.deepEqual(lib.isPushCommand('git push --tags origin main'), { remote: 'origin', refspecs: ['main'] });
+  assert.equal(lib.isPushCommand('git -C ../other push origin main'), null);
+  assert.equal(lib.isPushCommand('git --git-dir=/x/.git push'), null);
+  assert.deepEqual(lib.isPushCommand('git -c push.default=current push'), { remote: null, refspecs: [] });
+  assert.equal(lib.isPushCommand('echo git push'), null);
+  assert.equal(lib.isPushCommand('git pull'), null);
+});
+
+test('PreToolUse: git push audits upstream..HEAD and names the introducing commit', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-push-'));
+  const remote = path.join(dir, 'remote.git');
+  const repo = path.join(dir, 'repo');
+  const env = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t',
+  };
+  const git = (...args) => execFileSync('git', args, { cwd: repo, env, encoding: 'utf-8' }).trim();
+  try {
+    execFileSync('git', ['init', '-q', '--bare', remote]);
+    execFileSync('git', ['init', '-q', '-b', 'main', repo]);
+    fs.mkdirSync(path.join(repo, 'src'));
+    fs.writeFileSync(path.join(repo, 'src', 'a.js'), 'one\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+    git('remote', 'add', 'origin', remote);
+    git('push', '-q', '-u', 'origin', 'main');
+    fs.writeFileSync(path.join(repo, 'src', 'a.js'), 'one\ntwo\n');
+    git('commit', '-q', '-am', 'add two');
+    fs.writeFileSync(path.join(repo, 'src', 'b.js'), 'b\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'add b');
+    const base = git('rev-parse', 'origin/main');
+    const [addB, addTwo] = git('log', '--format=%h', '-2').split('\n');
+
+    let auditedRange = null;
+    const lines = await captureOutput(() => withStubs(
+      {
+        getIndexedRepoInfo: () => ({ box_id: 'push-test', box_name: 'repo', box_root: repo }),
+        runNoodlVerifyDigest: async (cwd, sessionId, channel, range) => {
+          auditedRange = range;
+          return {
+            success: true,
+            result: 'FINDING dangling caller src/a.js:2\nFINDING stale doc src/a.js:1\nFINDING unused export in src/b.js\n',
+          };
+        },
+      },
+      () => hook.handlePreToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: 'git push' },
+        cwd: repo,
+      })
+    ));
+
+    assert.equal(auditedRange, `${base}..${git('rev-parse', 'HEAD')}`);
+    assert.equal(lines.length, 1);
+    const context = lines[0].hookSpecificOutput.additionalContext;
+    assert.match(context, /pre-push audit .*2 commits/);
+    assert.match(context, new RegExp(`src/a\\.js:2 \\(introduced in ${addTwo} "add two"\\)`));
+    assert.match(context, new RegExp(`src/a\\.js:1 \\(file last changed in ${addTwo} "add two"\\)`));
+    assert.match(context, new RegExp(`src/b\\.js \\(file last changed in ${addB} "add b"\\)`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('PreToolUse: the opt-in commit gate denies on high-severity findings; default and bypass allow', async () => {
+  const digest = 'Findings:\n[high] removed symbol parseConfig still referenced by src/app.js:12\n[low] unused import\n';
+  const sessions = [];
+  const commit = (policy) => captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'gate-test', box_name: 'repo' }),
+      loadHookPolicy: () => policy,
+      runNoodlVerifyDigest: async (cwd, sessionId) => {
+        sessions.push(sessionId);
+        return { success: true, result: digest };
+      },
+    },
+    () => hook.handlePreToolUse({
+      tool_name: 'Bash',
+      tool_input: { command: 'git commit -m x' },
+      session_id: 'gate-session',
+      cwd: '/tmp/repo',
+    })
+  ));
+
+  const [allowed] = await commit(policyWith({}));
+  assert.equal(allowed.hookSpecificOutput.permissionDecision, 'allow');
+
+  const [denied] = await commit(policyWith({ limits: { commit_gate: 'deny' } }));
+  assert.equal(denied.hookSpecificOutput.permissionDecision, 'deny');
+  assert.match(denied.hookSpecificOutput.permissionDecisionReason, /1 finding at or above high severity/);
+  assert.match(denied.hookSpecificOutput.permissionDecisionReason, /parseConfig/);
+  assert.deepEqual(sessions, ['gate-session', undefined], 'a gated audit is not session-deduped');
+
+  const [belowThreshold] = await commit(policyWith({ limits: { commit_gate: 'ask', commit_gate_severity: 'critical' } }));
+  assert.equal(belowThreshold.hookSpecificOutput.permissionDecision, 'allow');
+
+  process.env.NOODLBOX_COMMIT_GATE_BYPASS = '1';
+  try {
+    const [bypassed] = await commit(policyWith({ limits: { commit_gate: 'deny' } }));
+    assert.equal(bypassed.hookSpecificOutput.permissionDecision, 'allow');
+  } finally {
+    delete process.env.NOODLBOX_COMMIT_GATE_BYPASS;
+  }
+});
+
+test('changedSignatures: parameter and return changes only, across languages', () => {
+  const changed = (before, after) => lib.changedSignatures(before, after).map((c) => c.name);
+  assert.deepEqual(changed('function parseConfig(path) {', 'function parseConfig(path, opts) {'), ['parseConfig']);
+  assert.deepEqual(changed('pub fn load(&self) -> Item {', 'pub fn load(&self) -> Option<Item> {'), ['load']);
+  assert.deepEqual(changed('def run(self, a):\n    pass', 'def run(self, a, b=None):\n    pass'), ['run']);
+  assert.deepEqual(changed('  async fetch(url: string): Promise<Res> {', '  async fetch(url: string, init?: Init): Promise<Res> {'), ['fetch']);
+  assert.deepEqual(changed('function parseConfig(path) {', 'function parseConfig( path, ) {'), [], 'whitespace is not a change');
+  assert.deepEqual(changed('function a(x) {\n  return x;\n}', 'function a(x) {\n  return x + 1;\n}'), [], 'body-only edit');
+  assert.deepEqual(changed('  if (x) {\n    foo(a);', '  if (y) {\n    foo(a, b);'), [], 'calls are not definitions');
+});
+
+test('PreToolUse: an Edit that changes a signature lists its call sites once', async () => {
+  const sessionId = `test-signature-${process.pid}-${Date.now()}`;
+  const edit = () => hook.handlePreToolUse({
+    tool_name: 'Edit',
+    tool_input: {
+      file_path: '/work/repo/src/config.js',
+      old_string: 'function parseConfig(path) {',
+      new_string: 'function parseConfig(path, opts) {',
+    },
+    session_id: sessionId,
+    cwd: '/work/repo',
+  });
+  let audits = 0;
+  const lines = await captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'signature-test', box_name: 'repo' }),
+      loadHookPolicy: () => policyWith({}),
+      midEditDue: () => true,
+      runNoodlVerifyDigest: async () => {
+        audits += 1;
+        return { success: true, result: '' };
+      },
+      runNoodlDef: async () => ({
+        success: true,
+        result: JSON.stringify({
+          symbol: { file_path: 'src/config.js', start_line: 3, name: 'parseConfig', kind: 'function' },
+          files: ['src/app.js', 'src/cli.js'],
+          incoming: {
+            calls: [{ file: 0, line: 12, name: 'main' }, { file: 1, line: 40, name: 'run' }],
+            imports: [{ file: 0, line: 1, name: 'app' }],
+          },
+        }),
+      }),
+    },
+    async () => {
+      await edit();
+      await edit();
+    }
+  ));
+  assert.equal(lines.length, 1, 'the repeat is suppressed');
+  const context = lines[0].hookSpecificOutput.additionalContext;
+  assert.match(context, /parseConfig\(path\) → parseConfig\(path, opts\)/);
+  assert.match(context, /2 call sites to update:\n {2}src\/app\.js:12 · main\n {2}src\/cli\.js:40 · run$/);
+  assert.equal(audits, 1, 'the mid-edit nudge runs when the guard has nothing new');
+  require('fs').rmSync(lib.deliveryLedgerPath(sessionId), { force: true });
+  require('fs').rmSync(lib.resultCachePath(sessionId), { force: true });
+});
+
+test('renameFromBashCommand / renameFromEdit: identifier renames only', () => {
+  assert.deepEqual(
+    lib.renameFromBashCommand("sed -i 's/parseConfig/loadConfig/g' src/a.js src/b.js"),
+    { from: 'parseConfig', to: 'loadConfig', files: ['src/a.js', 'src/b.js'] }
+  );
+  assert.equal(
+    lib.renameFromBashCommand("grep -rl parseConfig src | xargs perl -pi -e 's/\\bparseConfig\\b/loadConfig/g'").from,
+    'parseConfig'
+  );
+  assert.equal(lib.renameFromBashCommand("sed 's/parseConfig/loadConfig/g' src/a.js"), null, 'not in place');
+  assert.equal(lib.renameFromBashCommand("sed -i 's/parse.*Config/loadConfig/g' src/a.js"), null, 'regex search side');
+  assert.deepEqual(
+    lib.renameFromEdit('const cfg = parseConfig(path); // parseConfig', 'const cfg = loadConfig(path); // loadConfig'),
+    { from: 'parseConfig', to: 'loadConfig' }
+  );
+  assert.equal(lib.renameFromEdit('parseConfig(path)', 'loadConfig(path, opts)'), null);
+  assert.equal(lib.renameFromEdit('a(parseConfig)', 'b(loadConfig)'), null, 'two different swaps');
+});
+
+test('PostToolUse: a sed rename reports the references it left behind', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const boxRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-rename-'));
+  fs.mkdirSync(path.join(boxRoot, 'src'));
+  fs.writeFileSync(path.join(boxRoot, 'src', 'config.js'), 'function loadConfig(path) {}\n');
+  fs.writeFileSync(path.join(boxRoot, 'src', 'app.js'), "const { loadConfig } = require('./config');\nloadConfig(a);\n");
+  fs.writeFileSync(path.join(boxRoot, 'src', 'index.js'), "// entry\nexport { parseConfig } from './config';\n");
+  try {
+    const lines = await captureOutput(() => withStubs(
+      {
+        getIndexedRepoInfo: () => ({ box_id: 'rename-test', box_name: 'repo', box_root: boxRoot }),
+        loadHookPolicy: () => policyWith({}),
+        runNoodlDef: async () => ({
+          success: true,
+          result: JSON.stringify({
+            symbol: { file_path: 'src/config.js', start_line: 1, name: 'parseConfig', kind: 'function' },
+            files: ['src/app.js', 'src/index.js'],
+            incoming: {
+              calls: [{ file: 0, line: 2, name: 'main' }],
+              imports: [{ file: 1, line: 1, name: 'index' }],
+            },
+          }),
+        }),
+      },
+      () => hook.handlePostToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: "sed -i 's/parseConfig/loadConfig/g' src/config.js src/app.js" },
+        tool_response: { exit_code: 0 },
+        cwd: boxRoot,
+      })
+    ));
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].hookSpecificOutput.hookEventName, 'PostToolUse');
+    assert.equal(
+      lines[0].hookSpecificOutput.additionalContext,
+      'Noodlbox rename check: parseConfig → loadConfig left 1 reference to parseConfig:\n  src/index.js:2 · index'
+    );
+  } finally {
+    fs.rmSync(boxRoot, { recursive: true, force: true });
+  }
+});
+
+test('graph file matching: a shared filename suffix is not the same file', () => {
+  const def = (file) => JSON.stringify({
+    symbol: { file_path: file, start_line: 1, name: 'load', kind: 'function' },
+    files: ['src/app.js'],
+    incoming: { calls: [{ file: 0, line: 7, name: 'main' }] },
+  });
+  const change = { name: 'load', before: 'load()', after: 'load(options)' };
+  assert.match(lib.formatSignatureFindings(change, def('src/a.js'), '/repo/src/a.js'), /1 call site/);
+  assert.equal(lib.formatSignatureFindings(change, def('a.js'), '/repo/src/data.js'), null);
+  assert.match(lib.formatDeletedSymbolFindings('load', def('a.js'), 'a.js'), /still referenced/);
+  assert.equal(lib.formatDeletedSymbolFindings('load', def('a.js'), '/repo/src/data.js'), null);
+  assert.equal(lib.editRenamesDefinition('load', 'load()', '/repo/src/data.js', def('a.js')), false);
+  assert.equal(lib.editRenamesDefinition('load', 'load()', '/repo/a.js', def('a.js')), true);
+});
+
+test('PreToolUse: a Write that drops a definition referenced elsewhere lists the references', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-deleted-'));
+  const file = path.join(dir, 'src', 'config.js');
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, 'function parseConfig(path) {\n  return {};\n}\n\nfunction helper() {}\n');
+  const looked = [];
+  try {
+    const lines = await captureOutput(() => withStubs(
+      {
+        getIndexedRepoInfo: () => ({ box_id: 'deleted-test', box_name: 'repo', box_root: dir }),
+        loadHookPolicy: () => policyWith({ channels: { mid_edit: false } }),
+        runNoodlDef: async (name) => {
+          looked.push(name);
+          return {
+            success: true,
+            result: JSON.stringify({
+              symbol: { file_path: 'src/config.js', start_line: 1, name, kind: 'function' },
+              files: ['src/app.js', 'src/config.js'],
+              incoming: {
+                calls: [{ file: 0, line: 7, name: 'main' }, { file: 1, line: 9, name: 'helper' }],
+              },
+            }),
+          };
+        },
+      },
+      () => hook.handlePreToolUse({
+        tool_name: 'Write',
+        tool_input: { file_path: file, content: 'function helper() {}\n' },
+        cwd: dir,
+      })
+    ));
+    assert.deepEqual(looked, ['parseConfig'], 'only the removed definition is looked up');
+    assert.equal(lines.length, 1);
+    assert.equal(
+      lines[0].hookSpecificOutput.additionalContext,
+      'Noodlbox deleted-symbol guard: this change removes parseConfig (src/config.js:1), still referenced'
+        + ' from 1 other file:\n  src/app.js:7 · main (callers)'
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('testRunnerCommand: runners, npm-family bases, and already-filtered runs', () => {
+  assert.deepEqual(lib.testRunnerCommand('npm test'), { runner: 'npm', base: 'npm test --', filtered: false });
+  assert.equal(lib.testRunnerCommand('cd app && yarn test').base, 'yarn test');
+  assert.equal(lib.testRunnerCommand('cargo test -p core').filtered, false);
+  assert.equal(lib.testRunnerCommand('cargo test parse_config').filtered, true);
+  assert.equal(lib.testRunnerCommand('python -m pytest -q').runner, 'pytest');
+  assert.equal(lib.testRunnerCommand('pytest -k config').filtered, true);
+  assert.equal(lib.testRunnerCommand('go test -run TestLoad ./...').filtered, true);
+  assert.equal(lib.testRunnerCommand('npm install'), null);
+  assert.equal(lib.testRunnerCommand('echo cargo test'), null);
+  assert.equal(
+    lib.testFilterCommand('go', [{ file: 'pkg/cfg/cfg_test.go', name: 'TestLoad' }]),
+    "go test -run '^(TestLoad)$' ./pkg/cfg"
+  );
+});
+
+test('PreToolUse: npm test gets the tests reaching the changed definitions', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-tests-'));
+  const env = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t',
+  };
+  const git = (...args) => execFileSync('git', args, { cwd: repo, env, encoding: 'utf-8' });
+  const sessionId = `test-selection-${process.pid}-${Date.now()}`;
+  const graph = {
+    parseConfig: { file: 'src/config.js', callers: [['src/app.js', 'loadApp']] },
+    loadApp: { file: 'src/app.js', callers: [['test/app.test.js', 'loads the app'], ['src/cli.js', 'main']] },
+    main: { file: 'src/cli.js', callers: [] },
+  };
+  try {
+    git('init', '-q');
+    fs.mkdirSync(path.join(repo, 'src'));
+    fs.writeFileSync(path.join(repo, 'src', 'config.js'), 'function parseConfig(text) {\n  return {};\n}\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+    fs.writeFileSync(path.join(repo, 'src', 'config.js'), 'function parseConfig(text) {\n  return JSON.parse(text);\n}\n');
+
+    const looked = [];
+    const lines = await captureOutput(() => withStubs(
+      {
+        getIndexedRepoInfo: () => ({ box_id: `tests-${process.pid}`, box_name: 'repo', box_root: repo }),
+        loadHookPolicy: () => policyWith({}),
+        runNoodlDef: async (name) => {
+          looked.push(name);
+          const node = graph[name];
+          return {
+            success: true,
+            result: JSON.stringify({
+              symbol: { file_path: node.file, start_line: 1, name, kind: 'function' },
+              incoming: { calls: node.callers.map(([file, caller]) => ({ file_path: file, line: 3, name: caller })) },
+            }),
+          };
+        },
+      },
+      () => hook.handlePreToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: 'npm test' },
+        session_id: sessionId,
+        cwd: repo,
+      })
+    ));
+    assert.deepEqual(looked, ['parseConfig', 'loadApp', 'main']);
+    assert.equal(lines.length, 1);
+    assert.equal(
+      lines[0].hookSpecificOutput.additionalContext,
+      'Noodlbox: tests reaching your changes (1):\n  test/app.test.js · loads the app\n'
+        + 'To run just these: npm test -- test/app.test.js'
+    );
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+    fs.rmSync(lib.deliveryLedgerPath(sessionId), { force: true });
+    fs.rmSync(lib.resultCachePath(sessionId), { force: true });
+  }
+});
+
+test('parseStackFrames: Node, Python, Rust, Java and Go frames', () => {
+  const frames = lib.parseStackFrames([
+    '    at parseConfig (/repo/src/config.js:12:5)',
+    '    at Module._compile (node:internal/modules/cjs/loader:1256:14)',
+    '  File "/repo/app/config.py", line 22, in parse_config',
+    "thread 'main' panicked at src/config.rs:41:9:",
+    '   4: myapp::config::parse_config::h0123456789abcdef',
+    '             at ./src/config.rs:41:9',
+    '\tat com.acme.Config.parse(Config.java:42)',
+    'main.(*Server).Handle(0xc000010000)',
+    '\t/repo/server.go:55 +0x1d',
+  ].join('\n'));
+  assert.deepEqual(
+    frames.map((f) => [f.lang, f.file, f.line, lib.frameSymbol(f.func)]),
+    [
+      ['node', '/repo/src/config.js', 12, 'parseConfig'],
+      ['node', 'node:internal/modules/cjs/loader', 1256, '_compile'],
+      ['python', '/repo/app/config.py', 22, 'parse_config'],
+      ['rust', 'src/config.rs', 41, 'parse_config'],
+      ['java', 'Config.java', 42, 'parse'],
+      ['go', '/repo/server.go', 55, 'Handle'],
+    ]
+  );
+});
+
+test('PostToolUse: a failed command with a stack trace gets in-repo frames, externals collapsed', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const boxRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-stack-')));
+  fs.mkdirSync(path.join(boxRoot, 'src'));
+  fs.writeFileSync(path.join(boxRoot, 'src', 'config.js'), '');
+  fs.writeFileSync(path.join(boxRoot, 'src', 'app.js'), '');
+  const stderr = [
+    "TypeError: Cannot read properties of undefined (reading 'port')",
+    `    at parseConfig (${boxRoot}/src/config.js:12:5)`,
+    `    at ${boxRoot}/src/app.js:30:10`,
+    '    at Module._compile (node:internal/modules/cjs/loader:1256:14)',
+    `    at run (${boxRoot}/node_modules/jest/run.js:5:1)`,
+  ].join('\n');
+  try {
+    const lines = await captureOutput(() => withStubs(
+      {
+        getIndexedRepoInfo: () => ({ box_id: 'stack-test', box_name: 'repo', box_root: boxRoot }),
+        loadHookPolicy: () => policyWith({}),
+        runNoodlDef: async (name) => ({
+          success: true,
+          result: JSON.stringify({
+            symbol: { file_path: 'src/config.js', start_line: 3, name, kind: 'function' },
+            files: ['src/app.js'],
+            incoming: { calls: [{ file: 0, line: 30, name: 'loadApp' }] },
+          }),
+        }),
+      },
+      () => hook.handlePostToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: 'node src/app.js' },
+        tool_response: { exit_code: 1, stdout: '', stderr },
+        cwd: boxRoot,
+      })
+    ));
+    assert.equal(lines.length, 1);
+    assert.equal(
+      lines[0].hookSpecificOutput.additionalContext,
+      'Noodlbox stack trace context (2 in-repo frames):\n'
+        + '#1 src/config.js:12 · parseConfig — defined src/config.js:3 · callers: app.js:30 loadApp\n'
+        + '#2 src/app.js:30\n'
+        + '  … 2 frames outside the repo'
+    );
+  } finally {
+    fs.rmSync(boxRoot, { recursive: true, force: true });
+  }
+});
+
+test('formatStackContext: a frame takes the definition in its own file, or is left out', () => {
+  const def = (file, line) => JSON.stringify({
+    symbol: { file_path: file, start_line: line, name: 'handle', kind: 'function' },
+    files: ['src/server.js'],
+    incoming: { calls: [{ file: 0, line: 8, name: 'serve' }] },
+  });
+  const ambiguous = JSON.stringify({
+    status: 'ambiguous',
+    candidates: [
+      { file_path: 'src/cli/parse.js', line: 4, kind: 'function' },
+      { file_path: 'src/config/parse.js', line: 11, kind: 'function' },
+    ],
+  });
+  const digest = lib.formatStackContext([
+    { lang: 'node', rel: 'src/config/parse.js', line: 20, symbol: 'parse', answer: ambiguous },
+    { lang: 'node', rel: 'src/data.js', line: 5, symbol: 'handle', answer: def('a.js', 1) },
+    { lang: 'node', rel: 'src/routes.js', line: 9, symbol: 'handle', answer: def('src/routes.js', 2) },
+    { lang: 'node', rel: 'src/app.js', line: 30, symbol: null, answer: null },
+  ]);
+  assert.equal(
+    digest,
+    'Noodlbox stack trace context (3 in-repo frames):\n'
+      + '#1 src/config/parse.js:20 · parse — defined src/config/parse.js:11\n'
+      + '#2 src/routes.js:9 · handle — defined src/routes.js:2 · callers: server.js:8 serve\n'
+      + '#3 src/app.js:30'
+  );
+  assert.equal(
+    lib.formatStackContext([{ lang: 'node', rel: 'src/data.js', line: 5, symbol: 'handle', answer: def('lib/data.js', 1) }]),
+    null
+  );
+});
+
+test('parseDiagnostics: tsc, rustc, go and mypy errors with the symbol each is about', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-diag-'));
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'src', 'app.ts'), 'const x = 1;\nconst cfg = parseConfig(text);\n');
+  fs.writeFileSync(path.join(root, 'src', 'shapes.rs'), 'impl Draw for Widget {\n}\n');
+  const output = [
+    'src/app.ts(2,13): error TS2554: Expected 2 arguments, but got 1.',
+    "src/app.ts:5:3 - error TS2339: Property 'frob' does not exist on type 'Widget<T>'.",
+    '\x1b[1m\x1b[31merror[E0046]\x1b[0m: not all trait items implemented, missing: `draw`',
+    ' --> src/shapes.rs:1:1',
+    './main.go:12:5: not enough arguments in call to pkg.Load',
+    './main.go:14:4: s.Frob undefined (type *Server has no field or method Frob)',
+    'app/cfg.py:13: error: "Widget" has no attribute "frob"  [attr-defined]',
+    "src/app.ts(9,1): error TS2322: Type 'string' is not assignable to type 'number'.",
+  ].join('\n');
+  try {
+    assert.deepEqual(
+      lib.parseDiagnostics(output, root).map((d) => [d.tool, d.kind, d.target, `${d.file}:${d.line}`]),
+      [
+        ['tsc', 'arity', 'parseConfig', 'src/app.ts:2'],
+        ['tsc', 'member', 'Widget', 'src/app.ts:5'],
+        ['cargo', 'trait-items', 'Draw', 'src/shapes.rs:1'],
+        ['go', 'arity', 'Load', './main.go:12'],
+        ['go', 'member', 'Server', './main.go:14'],
+        ['mypy', 'member', 'Widget', 'app/cfg.py:13'],
+      ]
+    );
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('PostToolUse: a failed type-check gets the signature and members of the symbols it names', async () => {
+  const output = [
+    'src/app.ts(2,13): error TS2554: Expected 2 arguments, but got 1.',
+    "src/app.ts(5,3): error TS2339: Property 'frob' does not exist on type 'Widget'.",
+  ].join('\n');
+  const answers = {
+    Widget: {
+      symbol: { file_path: 'src/widget.ts', start_line: 4, name: 'Widget', kind: 'class', signature: 'class Widget implements Drawable {' },
+      files: ['src/widget.ts'],
+      outgoing: {
+        contains: [{ file: 0, line: 6, name: 'Widget.draw' }, { file: 0, line: 9, name: 'Widget.resize' }],
+        implements: [{ file_path: 'src/drawable.ts', line: 1, name: 'Drawable' }],
+      },
+    },
+  };
+  const lines = await captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'diag-test', box_name: 'repo', box_root: '/repo' }),
+      loadHookPolicy: () => policyWith({}),
+      runNoodlDef: async (name) => (answers[name]
+        ? { success: true, result: JSON.stringify(answers[name]) }
+        : { success: false, notIndexed: true, result: '' }),
+    },
+    () => hook.handlePostToolUse({
+      tool_name: 'Bash',
+      tool_input: { command: 'npx tsc --noEmit' },
+      tool_response: { exit_code: 2, stdout: output, stderr: '' },
+      cwd: '/repo',
+    })
+  ));
+  assert.equal(lines.length, 1);
+  assert.equal(
+    lines[0].hookSpecificOutput.additionalContext,
+    'Noodlbox compiler diagnostics (1 resolved):\n'
+      + "src/app.ts:5 TS2339 Property 'frob' does not exist on type 'Widget'.\n"
+      + '  Widget — src/widget.ts:4\n'
+      + '  class Widget implements Drawable {\n'
+      + '  members (2): draw, resize\n'
+      + '  implements (1): Drawable'
+  );
+});
+
+test('commitSummaryScope / isPrCreateCommand: what a commit or PR command summarizes', () => {
+  assert.equal(lib.commitSummaryScope('git commit -m "x"'), 'staged');
+  assert.equal(lib.commitSummaryScope('git commit -am "x"'), 'worktree');
+  assert.equal(lib.commitSummaryScope('git add -A && git commit -m "x"'), 'worktree');
+  assert.equal(lib.commitSummaryScope('git status'), null);
+  assert.deepEqual(lib.isPrCreateCommand('gh pr create --title "t" --body "b"'), { base: null });
+  assert.deepEqual(lib.isPrCreateCommand('git push && gh pr create -B release -t x'), { base: 'release' });
+  assert.deepEqual(lib.isPrCreateCommand('gh pr create --base=main'), { base: 'main' });
+  assert.equal(lib.isPrCreateCommand('gh pr view 12'), null);
+});
+
+test('PreToolUse: git commit gets the staged change summary beside the audit', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-summary-')));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: repo });
+  fs.mkdirSync(path.join(repo, 'src'));
+  fs.writeFileSync(
+    path.join(repo, 'src', 'config.js'),
+    'function parseConfig(text) {\n  return text;\n}\nfunction legacyLoad() {}\n'
+  );
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-qm', 'init');
+  fs.writeFileSync(
+    path.join(repo, 'src', 'config.js'),
+    'function parseConfig(text, options) {\n  return text;\n}\nfunction loadDefaults() {}\n'
+  );
+  git('add', '-A');
+  let query = null;
+  try {
+    const out = await captureOutput(() => withStubs(
+      {
+        getIndexedRepoInfo: () => ({ box_id: 'summary-test', box_root: repo }),
+        loadHookPolicy: () => policyWith({}),
+        runNoodlVerifyDigest: async () => ({ success: true, result: '' }),
+        runNoodlSearch: async (q) => {
+          query = q;
+          return {
+            success: true,
+            result: JSON.stringify({
+              workflows: [{ id: 'w1' }, { id: 'w2' }],
+              workflow_symbols: [
+                { name: 'startServer', metadata: { workflow_id: 'w1' } },
+                { name: 'parseConfig', metadata: { workflow_id: 'w1' } },
+                { name: 'renderPage', metadata: { workflow_id: 'w2' } },
+              ],
+            }),
+          };
+        },
+      },
+      () => hook.handlePreToolUse({
+        tool_name: 'Bash',
+        tool_input: { command: 'git commit -m "config options"' },
+        cwd: repo,
+      })
+    ));
+    assert.equal(query, 'parseConfig legacyLoad');
+    assert.equal(out.length, 1);
+    assert.equal(out[0].hookSpecificOutput.permissionDecision, 'allow');
+    assert.equal(
+      out[0].hookSpecificOutput.additionalContext,
+      'Noodlbox change summary (staged changes, 1 file):\n'
+        + 'Added: loadDefaults() (src/config.js)\n'
+        + 'Removed: legacyLoad (src/config.js)\n'
+        + 'Signature changed: parseConfig(text) → parseConfig(text, options) (src/config.js)\n'
+        + 'Workflows affected: startServer\n'
+        + 'Modules: src (1)'
+    );
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('PreToolUse: a slow commit summary does not hold up the gated audit', async () => {
+  const events = [];
+  const out = await captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'slow-summary-test' }),
+      loadHookPolicy: () => policyWith({ limits: { commit_gate: 'deny' } }),
+      structuralChanges: async () => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        events.push('summary');
+        return null;
+      },
+      runNoodlVerifyDigest: async () => {
+        events.push('audit');
+        return { success: true, result: '[high] removed symbol parseConfig still referenced by src/app.js:12\n' };
+      },
+    },
+    () => hook.handlePreToolUse({
+      tool_name: 'Bash',
+      tool_input: { command: 'git commit -m x' },
+      session_id: 'slow-summary-session',
+      cwd: '/tmp/repo',
+    })
+  ));
+  assert.deepEqual(events, ['audit', 'summary'], 'the audit starts without waiting on the summary');
+  assert.equal(out.length, 1);
+  assert.equal(out[0].hookSpecificOutput.permissionDecision, 'deny');
+  assert.match(out[0].hookSpecificOutput.additionalContext, /parseConfig/);
+});
+
+test('PreToolUse: def answers on a branch away from the analyzed commit carry a staleness badge', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-stale-')));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: repo })
+    .toString().trim();
+  git('init', '-q', '-b', 'main');
+  git('commit', '-q', '--allow-empty', '-m', 'base');
+  git('commit', '-q', '--allow-empty', '-m', 'main work');
+  const analyzed = git('rev-parse', 'HEAD');
+  git('checkout', '-q', '-b', 'feature-x', 'HEAD~1');
+  git('commit', '-q', '--allow-empty', '-m', 'one');
+  git('commit', '-q', '--allow-empty', '-m', 'two');
+  const head = git('rev-parse', 'HEAD');
+  const boxId = `stale-test-${process.pid}`;
+  const statusPath = lib.analyzeStatusPath(boxId);
+  fs.writeFileSync(statusPath, JSON.stringify({ runId: 'r1', state: 'finished', finishedAt: Date.now(), target: analyzed }));
+  const defAnswer = JSON.stringify({ symbol: { file_path: 'src/config.js', start_line: 3, name: 'parseConfig', kind: 'function' } });
+  const lookup = (limits) => captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: boxId, box_name: 'repo', box_root: repo }),
+      loadHookPolicy: () => policyWith({ limits }),
+      runNoodlDef: async () => ({ success: true, result: defAnswer, elapsed: 3 }),
+    },
+    () => hook.handlePreToolUse({
+      tool_name: 'Grep',
+      tool_input: { pattern: 'parseConfig' },
+      cwd: repo,
+    })
+  ));
+  try {
+    const badge = `Noodlbox index is stale — built at ${analyzed.slice(0, 7)};`
+      + ` HEAD ${head.slice(0, 7)} is 2 commits ahead, 1 behind.`;
+    const [small] = await lookup({});
+    assert.equal(small.hookSpecificOutput.additionalContext.split('\n')[0], badge);
+    const [large] = await lookup({ stale_reanalyze_commits: 3 });
+    assert.equal(
+      large.hookSpecificOutput.additionalContext.split('\n')[0],
+      `${badge} Offer the user a re-analyze (\`noodl analyze\`) before relying on these answers.`
+    );
+    git('checkout', '-q', analyzed);
+    const [fresh] = await lookup({ stale_reanalyze_commits: 3 });
+    assert.doesNotMatch(fresh.hookSpecificOutput.additionalContext, /stale/);
+  } finally {
+    fs.rmSync(statusPath, { force: true });
+    fs.rmSync(lib.analyzeStatusPath(boxId).replace('analyze-status', 'baseline'), { force: true });
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('baselineStaleness: the reflog is read once per db change', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-home-'));
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-reflog-')));
+  const commit = (message, date) => execFileSync(
+    'git',
+    ['-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-q', '--allow-empty', '-m', message],
+    { cwd: repo, env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date } }
+  );
+  execFileSync('git', ['init', '-q'], { cwd: repo });
+  commit('analyzed', '2026-01-01T00:00:00Z');
+  const analyzed = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: repo }).toString().trim();
+  commit('later', '2026-02-01T00:00:00Z');
+  const boxId = `reflog-test-${process.pid}`;
+  const db = path.join(home, '.noodlbox', 'boxes', boxId, 'db');
+  fs.mkdirSync(db, { recursive: true });
+  const dbChangedAt = (date) => fs.utimesSync(db, new Date(date), new Date(date));
+  const repoInfo = { box_id: boxId, box_root: repo };
+  const saved = os.homedir;
+  os.homedir = () => home;
+  try {
+    dbChangedAt('2026-01-15T00:00:00Z');
+    assert.equal((await lib.baselineStaleness(repoInfo, repo)).analyzed, analyzed);
+    fs.writeFileSync(path.join(repo, '.git', 'logs', 'HEAD'), '');
+    assert.equal((await lib.baselineStaleness(repoInfo, repo)).analyzed, analyzed, 'same db: the reflog is not re-read');
+    dbChangedAt('2026-02-15T00:00:00Z');
+    assert.equal(await lib.baselineStaleness(repoInfo, repo), null, 'a db change reads the reflog again');
+  } finally {
+    os.homedir = saved;
+    for (const name of ['baseline', 'baseline-reflog']) {
+      fs.rmSync(lib.analyzeStatusPath(boxId).replace('analyze-status', name), { force: true });
+    }
+    fs.rmSync(home, { recursive: true, force: true });
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('SessionStart: compact re-injects guidance, box freshness and open findings, without the schema', async () => {
+  let heavyCalls = 0;
+  let verifySession = 'unset';
+  const out = await captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: `restore-test-${process.pid}`, box_name: 'api', box_root: '/tmp/repo' }),
+      loadHookPolicy: () => policyWith({}),
+      readGitHead: () => 'c0ffee0'.padEnd(40, '0'),
+      baselineStaleness: async () => null,
+      listRepositories: async () => {
+        heavyCalls += 1;
+        return 'repos';
+      },
+      runNoodlSchema: async () => {
+        heavyCalls += 1;
+        return 'schema';
+      },
+      runNoodlVerifyDigest: async (cwd, sessionId) => {
+        verifySession = sessionId;
+        return { success: true, result: 'removed symbol `parse` still referenced at a.js:3\n' };
+      },
+    },
+    () => hook.handleSessionStart({ source: 'compact', cwd: '/tmp/repo', session_id: 's1' })
+  ));
+  assert.equal(heavyCalls, 0);
+  assert.equal(verifySession, undefined, 'the whole audit, not the undelivered remainder');
+  assert.equal(out.length, 1);
+  const context = out[0].hookSpecificOutput.additionalContext;
+  assert.match(context, /^<noodlbox-context>\nNoodlbox code graph \(short form/);
+  assert.match(
+    context,
+    /<noodlbox-box>\nBox: api\nIndex: current at c0ffee0\.\nOpen verify findings:\nremoved symbol `parse` still referenced at a\.js:3\n<\/noodlbox-box>$/
+  );
+  assert.doesNotMatch(context, /schema/);
+});
+
+test('SessionStart: a restore whose audit could not run does not report a clean tree', async () => {
+  const restore = (verify) => captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: `restore-fail-${process.pid}`, box_name: 'api', box_root: '/tmp/repo' }),
+      loadHookPolicy: () => policyWith({}),
+      readGitHead: () => null,
+      baselineStaleness: async () => null,
+      takeBreakerNotice: () => null,
+      runNoodlVerifyDigest: async () => verify,
+    },
+    () => hook.handleSessionStart({ source: 'resume', cwd: '/tmp/repo', session_id: 's1' })
+  ));
+  const [failed] = await restore({ success: false, timedOut: true, cutByDeadline: false, partial: '', result: '' });
+  assert.match(failed.hookSpecificOutput.additionalContext, /Open verify findings: unknown — the audit could not run/);
+  const [clean] = await restore({ success: true, result: '' });
+  assert.match(clean.hookSpecificOutput.additionalContext, /Open verify findings: none\.\n<\/noodlbox-box>$/);
+});
+
+test('PreCompact: the graph working set is kept and re-injected after compaction', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const boxRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-workingset-')));
+  const sessionId = `ws-${process.pid}-${Date.now()}`;
+  fs.mkdirSync(path.join(boxRoot, 'src'));
+  const file = path.join(boxRoot, 'src', 'config.js');
+  fs.writeFileSync(file, 'function parseConfig(text) {\n  return text.trim();\n}\n');
+  let verifyRuns = 0;
+  const stubs = {
+    getIndexedRepoInfo: () => ({ box_id: `ws-test-${process.pid}`, box_name: 'api', box_root: boxRoot }),
+    loadHookPolicy: () => policyWith({}),
+    baselineStaleness: async () => null,
+    midEditDue: () => true,
+    runNoodlDef: async (name) => ({
+      success: true,
+      result: JSON.stringify({ symbol: { file_path: 'src/config.js', start_line: 1, name, kind: 'function' } }),
+      elapsed: 2,
+    }),
+    runNoodlVerifyDigest: async () => {
+      verifyRuns += 1;
+      return { success: true, result: 'removed symbol `parse` still referenced at a.js:3\n' };
+    },
+  };
+  const grep = () => hook.handlePreToolUse({
+    tool_name: 'Grep', tool_input: { pattern: 'parseConfig' }, cwd: boxRoot, session_id: sessionId,
+  });
+  try {
+    await withStubs(stubs, async () => {
+      await captureOutput(grep);
+      await captureOutput(() => hook.handlePostToolUse({
+        tool_name: 'Edit',
+        tool_input: { file_path: file, old_string: 'text.trim()', new_string: 'text.trim()' },
+        tool_response: {},
+        cwd: boxRoot,
+        session_id: sessionId,
+      }));
+      const [kept] = await captureOutput(() => hook.handlePreCompact({ cwd: boxRoot, session_id: sessionId }));
+      assert.match(kept.systemMessage, /working set kept across compaction \(1 symbol, 1 edited file\)/);
+
+      const [restored] = await captureOutput(() => hook.handleSessionStart({
+        source: 'compact', cwd: boxRoot, session_id: sessionId,
+      }));
+      assert.equal(verifyRuns, 1, 'the snapshot findings stand in for a second audit');
+      assert.ok(restored.hookSpecificOutput.additionalContext.includes(
+        'Symbols looked up: parseConfig (src/config.js:1)\n'
+          + 'Edited: src/config.js (parseConfig)\n'
+          + 'Open verify findings:\nremoved symbol `parse` still referenced at a.js:3\n'
+      ));
+
+      const [again] = await captureOutput(grep);
+      assert.doesNotMatch(again.hookSpecificOutput.additionalContext, /already shown earlier/);
+    });
+  } finally {
+    for (const prefix of ['noodlbox-workingset-', 'noodlbox-delivered-', 'noodlbox-results-']) {
+      fs.rmSync(path.join(os.tmpdir(), `${prefix}${sessionId}.json`), { force: true });
+    }
+    fs.rmSync(boxRoot, { recursive: true, force: true });
+  }
+});
+
+test('PostToolUse: edits are not recorded while session_context and stop_audit are both off', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const sessionId = `noedit-${process.pid}-${Date.now()}`;
+  const edit = (channels) => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: 'noedit-test', box_name: 'api', box_root: '/tmp/repo' }),
+      loadHookPolicy: () => policyWith({ channels }),
+      readFileText: () => 'function parseConfig() {}\n',
+    },
+    () => captureOutput(() => hook.handlePostToolUse({
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/repo/src/a.js', content: 'function parseConfig() {}\n' },
+      tool_response: {},
+      cwd: '/tmp/repo',
+      session_id: sessionId,
+    }))
+  );
+  try {
+    await edit({ session_context: false, stop_audit: false });
+    assert.equal(fs.existsSync(path.join(os.tmpdir(), `noodlbox-workingset-${sessionId}.json`)), false);
+    await edit({ session_context: false });
+    assert.equal(lib.stopAuditDue(sessionId, false, 2), true);
+  } finally {
+    fs.rmSync(path.join(os.tmpdir(), `noodlbox-workingset-${sessionId}.json`), { force: true });
+  }
+});
+
+test('Stop: findings left after edits send the agent back, within the consecutive-block limit', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const sessionId = `stop-${process.pid}-${Date.now()}`;
+  let channel = null;
+  const stubs = {
+    getIndexedRepoInfo: () => ({ box_id: `stop-test-${process.pid}`, box_name: 'api', box_root: '/tmp/repo' }),
+    loadHookPolicy: () => policyWith({ limits: { stop_audit_max_blocks: 1 } }),
+    runNoodlVerifyDigest: async (cwd, session, ch) => {
+      channel = ch;
+      return { success: true, result: 'removed symbol `parse` still referenced at a.js:3\n' };
+    },
+  };
+  const stop = (continuing) => captureOutput(() => hook.handleStop({
+    cwd: '/tmp/repo', session_id: sessionId, stop_hook_active: continuing,
+  }));
+  try {
+    await withStubs(stubs, async () => {
+      assert.deepEqual(await stop(false), [], 'no edits, no audit');
+      lib.noteEditedSymbols(sessionId, 'src/a.js', []);
+      const [blocked] = await stop(false);
+      assert.equal(channel, 'stop');
+      assert.equal(blocked.decision, 'block');
+      assert.match(blocked.reason, /^Noodlbox stop audit .*\nremoved symbol `parse` still referenced at a\.js:3\nResolve them/);
+      assert.deepEqual(await stop(true), [], 'no edit since the audit');
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      lib.noteEditedSymbols(sessionId, 'src/a.js', []);
+      assert.deepEqual(await stop(true), [], 'consecutive-block limit reached');
+      const [again] = await stop(false);
+      assert.equal(again.decision, 'block', 'a new stop starts the count again');
+    });
+  } finally {
+    for (const prefix of ['noodlbox-workingset-', 'noodlbox-stop-']) {
+      fs.rmSync(path.join(os.tmpdir(), `${prefix}${sessionId}.json`), { force: true });
+    }
+  }
+});
+
+test('promptIdentifiers: code spans and code-shaped words, not plain English', () => {
+  assert.deepEqual(lib.promptIdentifiers('why does resolveReadScope return None for nested boxes?'), ['resolveReadScope']);
+  assert.deepEqual(
+    lib.promptIdentifiers('Look at `parse_config(text)`, `Box::open` and LanceStorage.open() please.'),
+    ['parse_config', 'Box.open', 'LanceStorage.open']
+  );
+  assert.deepEqual(lib.promptIdentifiers('```\nfooBar()\n```\nthe build is broken again'), []);
+  assert.deepEqual(lib.promptIdentifiers('aaBb ccDd eeFf ggHh iiJj', 2), ['aaBb', 'ccDd']);
+  assert.deepEqual(
+    lib.promptIdentifiers('Update the URLs in README.md, package.json and index.js so that parseConfig stops failing'),
+    ['parseConfig']
+  );
+  assert.deepEqual(lib.promptIdentifiers('does app.config reach loadApp?'), ['loadApp', 'app.config']);
+});
+
+test('UserPromptSubmit: definition sites for the identifiers the graph knows, nothing otherwise', async () => {
+  const answers = {
+    resolveReadScope: {
+      symbol: { file_path: 'src/scope.rs', start_line: 42, name: 'resolveReadScope', kind: 'function', signature: 'pub fn resolveReadScope(box: &Box) -> Option<Scope> {' },
+    },
+  };
+  const submit = (prompt) => captureOutput(() => withStubs(
+    {
+      getIndexedRepoInfo: () => ({ box_id: `prompt-test-${process.pid}`, box_name: 'api', box_root: '/tmp/repo' }),
+      loadHookPolicy: () => policyWith({}),
+      baselineStaleness: async () => null,
+      runNoodlDef: async (name) => (answers[name]
+        ? { success: true, result: JSON.stringify(answers[name]) }
+        : { success: false, notIndexed: true, result: '' }),
+    },
+    () => hook.handleUserPromptSubmit({ prompt, cwd: '/tmp/repo' })
+  ));
+  const [out] = await submit('why does resolveReadScope return None for nested_boxes?');
+  assert.equal(out.hookSpecificOutput.hookEventName, 'UserPromptSubmit');
+  assert.equal(
+    out.hookSpecificOutput.additionalContext,
+    'Noodlbox: where the graph places the identifiers in this prompt:\n'
+      + 'resolveReadScope — src/scope.rs:42 · function\n'
+      + '  pub fn resolveReadScope(box: &Box) -> Option<Scope> {'
+  );
+  assert.deepEqual(await submit('please tidy up the readme'), []);
+  assert.deepEqual(await submit('rename unknownThing to otherThing'), []);
+});
+
+test('Task/Agent and SubagentStop: a primer goes in, the subagent state folds back', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const boxRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'noodlbox-subagent-')));
+  const sessionId = `sub-${process.pid}-${Date.now()}`;
+  const agentSessionId = lib.subagentSessionId(sessionId, 'a1');
+  fs.mkdirSync(path.join(boxRoot, 'src'));
+  const file = path.join(boxRoot, 'src', 'app.js');
+  fs.writeFileSync(file, 'function loadApp() {\n  return 1;\n}\n');
+  const verifyRuns = [];
+  let openFindings = 'removed symbol `parse` still referenced at src/a.js:3\nunused export in src/b.js:1\n';
+  const stubs = {
+    getIndexedRepoInfo: () => ({ box_id: `sub-test-${process.pid}`, box_name: 'api', box_root: boxRoot }),
+    loadHookPolicy: () => policyWith({}),
+    baselineStaleness: async () => null,
+    midEditDue: () => true,
+    runNoodlDef: async (name) => ({
+      success: true,
+      result: JSON.stringify({ symbol: { file_path: `src/${name}.js`, start_line: 1, name, kind: 'function' } }),
+      elapsed: 2,
+    }),
+    runNoodlVerifyDigest: async (cwd, session) => {
+      verifyRuns.push(session);
+      return { success: true, result: openFindings };
+    },
+  };
+  const commitAudit = async (session) => {
+    const [out] = await captureOutput(() => hook.handlePreToolUse({
+      tool_name: 'Bash', tool_input: { command: 'git commit -m x' }, cwd: boxRoot, session_id: session,
+    }));
+    return out ? out.hookSpecificOutput.additionalContext : '';
+  };
+  const grep = (pattern, session) => captureOutput(() => hook.handlePreToolUse({
+    tool_name: 'Grep', tool_input: { pattern }, cwd: boxRoot, session_id: session,
+  }));
+  try {
+    await withStubs(stubs, async () => {
+      await grep('loadApp', sessionId);
+      await grep('parseConfig', sessionId);
+      const [launch] = await captureOutput(() => hook.handlePreToolUse({
+        tool_name: 'Task',
+        tool_input: { description: 'Trace config', prompt: 'Find every caller of parseConfig.', subagent_type: 'general-purpose' },
+        cwd: boxRoot,
+        session_id: sessionId,
+      }));
+      const { updatedInput } = launch.hookSpecificOutput;
+      assert.equal(updatedInput.subagent_type, 'general-purpose');
+      assert.match(updatedInput.prompt, /^<noodlbox-context>\nNoodlbox code graph/);
+      assert.ok(updatedInput.prompt.includes('Box: api\n'
+        + 'Already resolved in the parent session: parseConfig (src/parseConfig.js:1), loadApp (src/loadApp.js:1)\n'
+        + '</noodlbox-context>\n\nFind every caller of parseConfig.'));
+
+      // The subagent's own calls (main() keys them by agent_id): its first
+      // lookup of a name the parent saw is delivered in full.
+      const [first] = await grep('loadApp', agentSessionId);
+      assert.doesNotMatch(first.hookSpecificOutput.additionalContext, /already shown earlier/);
+      await grep('runServer', agentSessionId);
+      await captureOutput(() => hook.handlePostToolUse({
+        tool_name: 'Edit',
+        tool_input: { file_path: file, old_string: 'return 1;', new_string: 'return 2;' },
+        tool_response: {},
+        cwd: boxRoot,
+        session_id: agentSessionId,
+      }));
+      assert.equal(lib.stopAuditDue(sessionId, false, 2), false);
+      assert.match(await commitAudit(agentSessionId), /src\/a\.js:3\n.*src\/b\.js:1/);
+
+      assert.deepEqual(await captureOutput(() => hook.handleSubagentStop({
+        cwd: boxRoot, session_id: sessionId, agent_id: 'a1',
+      })), []);
+      assert.deepEqual(verifyRuns, [agentSessionId], 'folding runs no audit');
+      assert.equal(lib.stopAuditDue(sessionId, false, 2), true, 'the subagent edits count for the parent Stop audit');
+      // The parent's mid-edit nudge does not repeat what the subagent was
+      // given; a finding only the parent's tree has still comes through.
+      // The commit audit lists every finding.
+      openFindings += 'caller left behind at src/c.js:9\n';
+      const [nudge] = await captureOutput(() => hook.handlePreToolUse({
+        tool_name: 'Edit',
+        tool_input: { file_path: file, old_string: 'return 2;', new_string: 'return 3;' },
+        cwd: boxRoot,
+        session_id: sessionId,
+      }));
+      assert.match(nudge.hookSpecificOutput.additionalContext, /src\/c\.js:9/);
+      assert.doesNotMatch(nudge.hookSpecificOutput.additionalContext, /src\/a\.js:3|src\/b\.js:1/);
+      assert.match(await commitAudit(sessionId), /src\/a\.js:3\n.*src\/b\.js:1\n.*src\/c\.js:9/);
+      const [repeat] = await grep('runServer', sessionId);
+      assert.match(repeat.hookSpecificOutput.additionalContext, /already shown earlier/);
+      assert.equal(fs.existsSync(path.join(os.tmpdir(), `noodlbox-delivered-${agentSessionId}.json`)), false);
+    });
+  } finally {
+    for (const session of [sessionId, agentSessionId]) {
+      for (const prefix of ['noodlbox-workingset-', 'noodlbox-delivered-', 'noodlbox-results-', 'noodlbox-stop-']) {
+        fs.rmSync(path.join(os.tmpdir(), `${prefix}${session}.json`), { force: true });
+      }
+    }
+    fs.rmSync(boxRoot, { recursive: true, force: true });
+  }
+});
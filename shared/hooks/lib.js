@@ -4,14 +4,24 @@
  * Common functions for semantic search augmentation across platforms.
  */
 
-const { execFileSync, spawn } = require('child_process');
+const { execFile, spawn } = require('child_process');
 const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
 const path = require('path');
+const { NoodlClient } = require('./noodl-client.js');
 
 const NOODL_PATH = process.env.NOODLBOX_CLI_PATH || 'noodl';
+const client = new NoodlClient({ binary: NOODL_PATH });
 const SEARCH_TIMEOUT_MS = 5000;
+const SEARCH_LIMIT = 50;
+// The hook augments an agent mid-task, so it requests the enriched
+// `implement` intent instead of the lean Explore default — otherwise the
+// intent-gated retrieval stages (anchor-and-expand, depth-bounded trace)
+// never reach the installed surface (kettle plan, Amendment 1: a stage is
+// not shipped until a caller actually requests the intent that turns it
+// on). Explore stays available as the explicit lean opt-out.
+const SEARCH_INTENT = 'implement';
 const MAX_COMMAND_LENGTH = 1000;
 const DEBUG = process.env.NOODLBOX_HOOK_DEBUG === 'true';
 
@@ -282,13 +292,16 @@ function truncateQuery(query, maxLen = 30) {
 
 /**
  * Format search info into a concise, informative message.
- * Shows three sections: FLOWS, DEFINITIONS, DOCS.
+ * Shows three sections: FLOWS, DEFINITIONS, DOCS. `source.cached` marks an
+ * answer served from the session result cache (its elapsed time is the
+ * original run's, so it is not shown).
  */
-function formatSearchMessage(query, info, elapsed) {
+function formatSearchMessage(query, info, elapsed, source = {}) {
   const displayQuery = truncateQuery(query, 35);
   const { dim, gray, reset } = colors;
 
-  const timeStr = elapsed > 0 ? ` ${dim}(${elapsed}ms)${reset}` : '';
+  let timeStr = elapsed > 0 ? ` ${dim}(${elapsed}ms)${reset}` : '';
+  if (source.cached) timeStr = ` ${dim}(cached)${reset}`;
   const header = `Search: "${displayQuery}"${timeStr}`;
 
   // Build sectioned display
@@ -438,7 +451,7 @@ function readBoxId(boxRoot) {
  * search never fired.)
  *
  * Returns:
- * - { box_id, box_name, indexed: true } when cwd is in an analyzed box
+ * - { box_id, box_name, box_root, indexed: true } when cwd is in an analyzed box
  * - false when cwd is in a box not analyzed locally yet (.nbx/ present, no db/)
  * - null when cwd is not inside any box
  */
@@ -469,7 +482,7 @@ function getIndexedRepoInfo(cwd) {
     const indexed = fs.existsSync(dbPath);
     debug('Box resolved from .nbx/', { boxRoot, boxId, indexed });
     return indexed
-      ? { box_id: boxId, box_name: path.basename(boxRoot), indexed: true }
+      ? { box_id: boxId, box_name: path.basename(boxRoot), box_root: boxRoot, indexed: true }
       : false;
   } catch (e) {
     debug('getIndexedRepoInfo error:', e.message);
@@ -603,6 +616,54 @@ function isBareIdentifier(pattern) {
   return !STRUCTURAL_KEYWORDS.has(base);
 }
 
+const PROMPT_MAX_IDENTIFIERS = 4;
+// A file name (`README.md`, `index.js`) is dotted like a member path but
+// names no definition.
+const PROMPT_FILE_NAME = /\.(?:[cm]?[jt]sx?|json|md|mdx|txt|toml|ya?ml|lock|ini|cfg|env|xml|html?|css|scss|sh|py|pyi|rs|go|java|kt|rb|cs|swift|php|c|cc|cpp|h|hpp|sql|proto|gradle)$/i;
+// A plural acronym (`URLs`, `APIs`) has the case change of a camelCase name.
+const PROMPT_PLURAL_ACRONYM = /^[A-Z]{2,}s$/;
+
+/**
+ * Identifiers a user's prompt names, for `noodl def` before the agent has
+ * looked anything up: backtick code spans first (the user marked them as
+ * code; a call's arguments are dropped), then prose tokens that are
+ * isBareIdentifier AND look like code — an underscore, a dot or `$`, or a
+ * case change inside the word (`resolveReadScope`, `LanceStorage`) — since
+ * plain words (`nested`, `boxes`) pass isBareIdentifier too. File names and
+ * plural acronyms are not identifiers, and among prose tokens camelCase and
+ * snake_case names rank ahead of dotted ones. Fenced code blocks are not
+ * mined. At most `max`, first mention first within each rank.
+ */
+function promptIdentifiers(prompt, max = PROMPT_MAX_IDENTIFIERS) {
+  if (typeof prompt !== 'string') return [];
+  const text = prompt.replace(/```[\s\S]*?(?:```|$)/g, ' ');
+  const found = [];
+  const dotted = [];
+  const add = (list, term) => {
+    const clean = term.replace(/\.+$/, '');
+    if (isBareIdentifier(clean) && !PROMPT_FILE_NAME.test(clean) && !found.includes(clean)
+        && !dotted.includes(clean)) {
+      list.push(clean);
+    }
+  };
+  for (const span of text.matchAll(/`([^`\n]+)`/g)) {
+    const head = span[1].trim().match(/^[A-Za-z_$][\w$]*(?:(?:\.|::)[A-Za-z_$][\w$]*)*/);
+    if (head) add(found, head[0].replace(/::/g, '.'));
+  }
+  for (const word of text.replace(/`[^`\n]+`/g, ' ').split(/\s+/)) {
+    const token = word
+      .replace(/^[("'[{<]+/, '')
+      .replace(/(?:\(\)|[)"'\]}>,;:!?.])+$/, '');
+    if (PROMPT_PLURAL_ACRONYM.test(token)) continue;
+    if (/[_$]/.test(token) || /[a-z][A-Z]|[A-Z]{2}[a-z]/.test(token)) {
+      add(token.includes('.') ? dotted : found, token);
+    } else if (token.includes('.')) {
+      add(dotted, token);
+    }
+  }
+  return [...found, ...dotted].slice(0, max);
+}
+
 /**
  * Reads as a question — two or more plain English words. Rejects anything
  * carrying regex shape, a path separator, or a structural-keyword salad
@@ -648,6 +709,15 @@ function routeGrepPattern(pattern) {
  * router: its patterns are filename globs — path lookups by construction.
  */
 function routeBashCommand(command) {
+  const pattern = bashSearchPattern(command);
+  return pattern === null ? null : routePattern(pattern);
+}
+
+/**
+ * The raw pattern token of a grep/rg/ag/ack command (see routeBashCommand),
+ * or null when the command is not a routable search.
+ */
+function bashSearchPattern(command) {
   if (!command || typeof command !== 'string' || command.length > MAX_COMMAND_LENGTH) {
     return null;
   }
@@ -683,16 +753,31 @@ function routeBashCommand(command) {
       continue;
     }
     if (token.startsWith('-')) {
-      if (token === '-e' && i + 1 < tokens.length) return routePattern(tokens[i + 1]);
+      if (token === '-e' && i + 1 < tokens.length) return tokens[i + 1];
       if (flagsWithValues.has(token)) skipNext = true;
       continue;
     }
     // First bare (non-flag) argument is the pattern; the rest are paths.
-    return routePattern(token);
+    return token;
   }
   return null;
 }
 
+/**
+ * Why `routePattern` declined `pattern` — telemetry's answer to "how often
+ * does a grep earn nothing, and why". Only meaningful when routePattern
+ * returned null.
+ */
+function routeDeclineReason(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'empty';
+  const term = pattern.trim();
+  if (term.length > MAX_COMMAND_LENGTH) return 'too-long';
+  if (REGEX_METACHARS.test(term)) return 'regex';
+  if (term.includes('/')) return 'path';
+  if (!/\s/.test(term)) return 'short-or-keyword';
+  return 'not-prose';
+}
+
 /**
  * Extract pattern from grep/rg/ag/ack commands.
  * Pattern is typically the first non-flag, non-flag-value argument.
@@ -778,40 +863,98 @@ function extractFindPattern(tokens, startIndex) {
 }
 
 /**
- * Run noodlbox semantic search.
- *
- * Returns: { success: true, result, elapsed } or { success: false, notIndexed: bool }
+ * Every answer-bearing `noodl` call goes through here: the circuit breaker
+ * decides whether it runs at all, `invoke` runs it on the shared
+ * NoodlClient, and the outcome is recorded for telemetry and the breaker.
+ * Resolves to the client's outcome shape (plus `skipped` when the breaker
+ * held it back); never rejects.
  */
+async function callNoodl(verb, cwd, invoke) {
+  if (!breakerAllows(cwd)) {
+    return { success: false, skipped: true, result: '', partial: '', elapsed: 0, timedOut: false, notIndexed: false };
+  }
+  const outcome = await invoke();
+  if (!outcome.success) {
+    debug(`noodl ${verb} failed:`, String(outcome.stderr || (outcome.error && outcome.error.message) || '').slice(0, 200));
+  }
+  if (outcome.cutByDeadline) {
+    noteTelemetry({ budget_exhausted: true });
+  }
+  recordNoodlCall(verb, outcome.elapsed, outcome.success, outcome.timedOut);
+  recordBreakerOutcome(cwd, verb, outcome);
+  return outcome;
+}
+
 /**
- * Run a `noodl` subcommand that prints a plain-text digest to stdout.
- * Resolves symlinks in cwd (noodl stores realpaths) and never throws —
+ * Run a `noodl` subcommand that prints a plain-text digest to stdout, in
+ * `cwd`. Resolves `{ success, result, elapsed, ... }`; never rejects —
  * hooks are fail-open by contract.
  */
 function runNoodlDigest(args, cwd, timeoutMs, label) {
-  const start = Date.now();
-  try {
-    let resolvedCwd = cwd;
-    try {
-      resolvedCwd = fs.realpathSync(cwd);
-    } catch {
-      // Fall back to the raw cwd (matches runNoodlSearch/getIndexedRepoInfo).
+  debug(`Running ${label}`);
+  return callNoodl(args[0], cwd, () => client.run(args, { cwd, timeoutMs, deadline: hookDeadline }));
+}
+
+// ---------------------------------------------------------------------------
+// Hook deadline — the host's budget, shared by every call in one invocation.
+//
+// The host kills a hook at its hooks.json `timeout`, and a killed hook
+// delivers NOTHING. Each noodl call's own timeout is therefore capped by the
+// time left in the invocation (minus a margin for rendering and exit), so
+// the hook always gets to emit whatever it has — a partial digest, the
+// calls that did finish — before the host's axe falls.
+// ---------------------------------------------------------------------------
+
+// Left for JSON rendering, stdout flush and process exit after the last call.
+const DEADLINE_MARGIN_MS = 750;
+// The host's default when a hooks.json entry names no timeout.
+const DEFAULT_HOST_BUDGET_MS = 60000;
+
+let hookDeadline;
+
+/**
+ * The host budget (ms) for `event` + `toolName` according to a parsed
+ * hooks.json: the first matcher group that matches the tool (an empty or
+ * absent matcher matches everything), its first hook's `timeout` seconds.
+ */
+function hostBudgetMs(hooksConfig, event, toolName) {
+  const groups = hooksConfig && hooksConfig.hooks && hooksConfig.hooks[event];
+  if (!Array.isArray(groups)) return DEFAULT_HOST_BUDGET_MS;
+  for (const group of groups) {
+    let matches = !group.matcher;
+    if (!matches) {
+      try {
+        matches = new RegExp(`^(?:${group.matcher})$`).test(toolName || '');
+      } catch {
+        matches = group.matcher === toolName;
+      }
     }
-    const result = execFileSync(
-      NOODL_PATH,
-      args,
-      { cwd: resolvedCwd, timeout: timeoutMs, stdio: ['pipe', 'pipe', 'pipe'], encoding: 'utf-8' }
-    );
-    return { success: true, result, elapsed: Date.now() - start };
-  } catch (e) {
-    debug(`${label} failed:`, e.message);
-    return { success: false, result: '', elapsed: Date.now() - start };
+    if (!matches) continue;
+    const timeout = Array.isArray(group.hooks) && group.hooks[0] && group.hooks[0].timeout;
+    return typeof timeout === 'number' && timeout > 0 ? timeout * 1000 : DEFAULT_HOST_BUDGET_MS;
   }
+  return DEFAULT_HOST_BUDGET_MS;
+}
+
+/**
+ * Start this invocation's deadline: `budgetMs` after the process started
+ * (node's own boot counts against the host's clock), less the margin.
+ */
+function beginDeadline(budgetMs) {
+  const processStart = Date.now() - Math.round(process.uptime() * 1000);
+  hookDeadline = processStart + budgetMs - DEADLINE_MARGIN_MS;
+  debug('Hook deadline in', hookDeadline - Date.now(), 'ms');
 }
 
+/** Milliseconds left in this invocation (Infinity outside one — tests). */
+function deadlineRemainingMs() {
+  return hookDeadline === undefined ? Infinity : hookDeadline - Date.now();
+}
 
 // Verify audits the WHOLE working-tree diff (baseline reads + lenses),
 // so it gets more headroom than a one-file map read and
-// search (5s); the Bash hook ceiling is 30s.
+// search (5s); the Bash hook ceiling is 30s. On Edit|Write (15s host
+// budget) the hook deadline caps it below the host's kill.
 const VERIFY_DIGEST_TIMEOUT_MS = 15000;
 
 
@@ -831,33 +974,105 @@ const VERIFY_DIGEST_TIMEOUT_MS = 15000;
  * quoted multi-line commit message still detects on its first line.
  */
 function isCommitCommand(command) {
-  if (!command) return false;
-  const VALUE_FLAGS = new Set([
-    '-c', '-C', '--git-dir', '--work-tree', '--namespace', '--exec-path',
-  ]);
+  return gitInvocations(command).some((git) => git.subcommand === 'commit');
+}
+
+/**
+ * The simple commands of a Bash command line, each as its words from the
+ * command position on — the walk `isCommitCommand` documents: newline
+ * split, quote-aware tokens, `&&`/`||`/`;`/`|` separators, leading `VAR=x`
+ * prefixes dropped. Empty segments are skipped.
+ */
+function commandSegments(command) {
+  if (!command || typeof command !== 'string') return [];
   const OPERATORS = new Set(['&&', '||', ';', '|']);
+  const segments = [];
   for (const line of command.split(/\r?\n/)) {
-    const tokens = tokenize(line);
-    let expectCmd = true;
-    for (let i = 0; i < tokens.length; i++) {
-      const tok = tokens[i];
-      if (OPERATORS.has(tok)) {
-        expectCmd = true;
+    let segment = [];
+    for (const tok of [...tokenize(line), ';']) {
+      if (!OPERATORS.has(tok)) {
+        // env prefix: only before the command word
+        if (segment.length || !/^[A-Za-z_][A-Za-z0-9_]*=/.test(tok)) segment.push(tok);
         continue;
       }
-      if (!expectCmd) continue;
-      if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(tok)) continue; // env prefix
-      if (path.basename(tok) === 'git') {
-        let j = i + 1;
-        while (j < tokens.length && tokens[j].startsWith('-')) {
-          j += VALUE_FLAGS.has(tokens[j]) ? 2 : 1;
-        }
-        if (tokens[j] === 'commit') return true;
-      }
-      expectCmd = false;
+      if (segment.length) segments.push(segment);
+      segment = [];
     }
   }
-  return false;
+  return segments;
+}
+
+/**
+ * Every `git` invocation at a command position in a Bash command, as
+ * `{ subcommand, args, globals }` — `globals` the flags before the
+ * subcommand, value-taking ones with their values. `args` runs to the next
+ * operator.
+ */
+function gitInvocations(command) {
+  const VALUE_FLAGS = new Set([
+    '-c', '-C', '--git-dir', '--work-tree', '--namespace', '--exec-path',
+  ]);
+  const found = [];
+  for (const words of commandSegments(command)) {
+    if (path.basename(words[0]) !== 'git') continue;
+    let j = 1;
+    while (j < words.length && words[j].startsWith('-')) {
+      j += VALUE_FLAGS.has(words[j]) ? 2 : 1;
+    }
+    if (j < words.length) found.push({ subcommand: words[j], args: words.slice(j + 1), globals: words.slice(1, j) });
+  }
+  return found;
+}
+
+// Subcommands that move HEAD whatever their arguments (a `--abort` or
+// `--continue` moves it too — back, or onward).
+const HEAD_MOVING_SUBCOMMANDS = new Set([
+  'merge', 'rebase', 'pull', 'cherry-pick', 'revert', 'am', 'switch',
+]);
+const RESET_MODE_FLAGS = new Set(['--hard', '--soft', '--mixed', '--keep', '--merge']);
+
+/**
+ * Does a `git reset` argument read as a pathspec rather than a commit-ish?
+ * Relative or absolute paths, globs, and names with a file extension
+ * (`src/a.js`); `origin/main`, `HEAD~2`, `v1.2` and shas do not.
+ */
+function looksLikePathspec(arg) {
+  return /^(\.\.?(\/|$)|\/|:)/.test(arg)
+    || /[*?[]/.test(arg)
+    || /\.[A-Za-z][A-Za-z0-9]*$/.test(arg);
+}
+
+/**
+ * Does this Bash command move HEAD other than by `git commit`? Same
+ * command-position rules as `isCommitCommand` (shared `gitInvocations`).
+ * `merge`, `rebase`, `pull`, `cherry-pick`, `revert`, `am` and `switch`
+ * always count. `reset` counts with a mode flag, or when its one
+ * positional argument is a commit-ish (`origin/main`, `HEAD~1`, a sha)
+ * with no pathspec after it — `git reset path` and `git reset <commit> --
+ * path` only touch the index. `checkout` counts
+ * when it creates/detaches (`-b`, `-B`, `--detach`, `--orphan`) or names
+ * exactly one target and no `--` pathspec separator: `git checkout main`
+ * and `git checkout file.js` cannot be told apart without asking git, and
+ * a spurious incremental re-analyze is far cheaper than a stale baseline.
+ */
+function isHeadMovingCommand(command) {
+  return gitInvocations(command).some(({ subcommand, args }) => {
+    if (HEAD_MOVING_SUBCOMMANDS.has(subcommand)) return true;
+    if (subcommand === 'reset') {
+      if (args.some((a) => RESET_MODE_FLAGS.has(a))) return true;
+      const separator = args.indexOf('--');
+      if (separator >= 0 && separator < args.length - 1) return false;
+      const targets = (separator < 0 ? args : args.slice(0, separator)).filter((a) => !a.startsWith('-'));
+      return targets.length === 1 && !looksLikePathspec(targets[0]);
+    }
+    if (subcommand === 'checkout') {
+      if (args.includes('--')) return false;
+      if (args.some((a) => ['-b', '-B', '--detach', '--orphan'].includes(a))) return true;
+      const targets = args.filter((a) => !a.startsWith('-'));
+      return targets.length === 1 && targets[0] !== '.';
+    }
+    return false;
+  });
 }
 
 /**
@@ -869,8 +1084,10 @@ function isCommitCommand(command) {
  * 'mid-edit' so the CLI renders the findings-only projection and the
  * ledger records `mid_edit_nudge`; the commit boundary omits it (the CLI
  * infers the commit-boundary agent channel from the session id).
+ * `range` (`base..head`, resolved shas) audits those commits instead of the
+ * working tree — the pre-push audit.
  */
-function runNoodlVerifyDigest(cwd, sessionId, channel) {
+function runNoodlVerifyDigest(cwd, sessionId, channel, range) {
   const args = ['verify', '--digest', '--audience', 'agent'];
   if (sessionId) {
     args.push('--session-id', sessionId);
@@ -878,323 +1095,3334 @@ function runNoodlVerifyDigest(cwd, sessionId, channel) {
   if (channel) {
     args.push('--channel', channel);
   }
-  return runNoodlDigest(args, cwd, VERIFY_DIGEST_TIMEOUT_MS, 'verify digest');
+  if (range) {
+    args.push('--range', range);
+  }
+  const { limits } = loadHookPolicy(cwd);
+  return runNoodlDigest(args, cwd, limits.verify_digest_timeout_ms, 'verify digest');
 }
 
-// Mid-edit nudge cost gate (P3): a verify run costs seconds, so it must
-// not ride EVERY Edit/Write. This throttles the RUN (wall-clock cost),
-// not the content — per-finding repeat suppression is the CLI's job
-// (session-seen + open-ledger, P1), so an unchanged report past the gate
-// still injects nothing. 60s keeps the nudge within one edit burst of
-// the obligation that created it.
-const MID_EDIT_MIN_INTERVAL_MS = 60000;
+// ---------------------------------------------------------------------------
+// Deleted-symbol guard — Edit/Write that removes a referenced definition.
+//
+// Definitions present before the change and absent after it (the same head
+// parse as the signature guard: old_string → new_string for an Edit, the
+// file on disk → the new content for a Write) are looked up with `noodl
+// def`. The graph's view decides: a removed name counts only when the graph
+// places its definition in the file being changed, and only its incoming
+// edges from OTHER files are listed — references inside the file go with it.
+// ---------------------------------------------------------------------------
 
-function midEditStatePath(sessionId) {
-  const safe = String(sessionId).replace(/[^A-Za-z0-9-]/g, '_');
-  return path.join(os.tmpdir(), `noodlbox-midedit-last-${safe}.json`);
+const DELETED_GUARD_MAX_SYMBOLS = 5;
+const DELETED_GUARD_MAX_SITES = 20;
+
+/**
+ * Text of a file, or null when it cannot be read (a Write creating it).
+ */
+function readFileText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
 }
 
-// Session-state GC window (hours) — mirrors the CLI's session-seen sweep
-// (COHERENCE_SESSION_SEEN_GC_HOURS = 48) so the two per-session tmp-file
-// mechanisms age out together.
-const MID_EDIT_STATE_GC_HOURS = 48;
+/**
+ * Names defined in `before` and not in `after`, at most
+ * DELETED_GUARD_MAX_SYMBOLS.
+ */
+function removedDefinitions(before, after) {
+  if (typeof before !== 'string' || typeof after !== 'string') return [];
+  const kept = extractDefinitions(after);
+  return [...extractDefinitions(before).keys()]
+    .filter((name) => !kept.has(name))
+    .slice(0, DELETED_GUARD_MAX_SYMBOLS);
+}
 
 /**
- * One gate call per PreToolUse(Edit|Write): true when the interval has
- * passed. Marks NOW on pass as a BEST-EFFORT mitigation against stacked
- * runs — the read-then-write is not atomic, so two truly concurrent
- * hooks can both pass; that is acceptable for a cost gate (verify is
- * fail-open and content dedup is the CLI's per-finding suppression). No
- * session id ⇒ never nudge — without a session the CLI cannot suppress
- * repeats per session, and an unthrottleable channel would re-nag.
+ * Is `filePath` (absolute or relative) the box-relative `boxRelative` —
+ * the same path, or one ending in `/` + it? A bare suffix is not enough:
+ * `src/data.js` is not `a.js`.
  */
-function midEditDue(sessionId) {
-  if (!sessionId) return false;
-  const { due, firstWrite } = windowGateDue(
-    midEditStatePath(sessionId),
-    MID_EDIT_MIN_INTERVAL_MS
-  );
-  if (due && firstWrite) {
-    gcMidEditState(Date.now());
-  }
-  return due;
+function sameFile(filePath, boxRelative) {
+  if (!filePath || !boxRelative) return false;
+  const file = String(filePath).replace(/^\.\//, '');
+  const relative = String(boxRelative).replace(/^\.\//, '');
+  return file === relative || file.endsWith(`/${relative}`);
 }
 
-// Post-commit re-analyze debounce (E3 ship requirement 2). One spawn per
-// repo per window: rapid commit sequences (rebase scripts, fixup chains)
-// must not stack analyze processes — the per-box flock serializes them
-// anyway, so extras would only queue and burn CPU.
-const POST_COMMIT_ANALYZE_DEBOUNCE_MS = 120000;
+/**
+ * Findings-only digest for a removed definition still referenced from
+ * other files, or null (not this file's definition, or nothing outside it).
+ */
+function formatDeletedSymbolFindings(name, resultText, filePath) {
+  const answer = defEdges(resultText, 'incoming', Object.keys(DEF_EDGE_LABELS.incoming));
+  if (!answer || !sameFile(filePath, answer.symbol.file_path)) return null;
+  const outside = answer.edges.filter((edge) => edge.file !== answer.symbol.file_path);
+  if (!outside.length) return null;
+  const sites = outside.slice(0, DELETED_GUARD_MAX_SITES)
+    .map((edge) => `  ${edge.file}:${edge.line} · ${edge.name} (${DEF_EDGE_LABELS.incoming[edge.kind]})`);
+  const omitted = outside.length - sites.length;
+  if (omitted > 0) sites.push(`  (+${omitted} more)`);
+  const files = new Set(outside.map((edge) => edge.file)).size;
+  return `Noodlbox deleted-symbol guard: this change removes ${name}`
+    + ` (${answer.symbol.file_path}:${answer.symbol.start_line}), still referenced from`
+    + ` ${files} other file${files === 1 ? '' : 's'}:\n${sites.join('\n')}`;
+}
+
+// ---------------------------------------------------------------------------
+// Rename completeness — in-place substitutions and identifier-swapping edits.
+//
+// `sed -i 's/oldName/newName/g' file` and an Edit that swaps one identifier
+// for another both rename by text, file by file; the references they do not
+// reach (other files, re-exports, callers across the box) keep the old name.
+// After such a change the graph's incoming edges for the OLD name — still
+// the pre-change graph — say where it was referenced; every one of those
+// sites whose file still spells the old name is a reference left behind.
+// Only bare identifiers (`isBareIdentifier`, undotted) count as renames: a
+// regex or a dotted path in a substitution is not a rename. An Edit counts
+// only when it renames the definition itself (the definition is in the
+// edited text, or the graph places it in the edited file) — replacing one
+// call with a call to a different function is not a rename.
+// ---------------------------------------------------------------------------
+
+const RENAME_MAX_SITES = 20;
+// Word-boundary spellings agents wrap around the search side.
+const SUBSTITUTION_BOUNDARIES = /^(?:\\b|\\<)|(?:\\b|\\>)$/g;
+
+function isRenameIdentifier(term) {
+  return isBareIdentifier(term) && !term.includes('.');
+}
 
 /**
- * Generic tmp-file window gate shared by the per-session mid-edit
- * throttle and the per-repo post-commit debounce: read `{last}`, deny
- * inside the window, claim NOW otherwise. BEST-EFFORT by contract — the
- * read-then-write is not atomic, so two truly concurrent callers can
- * both pass; acceptable for cost gates (verify is fail-open, analyze is
- * flock-serialized). Missing/corrupt state fails open (= due). Returns
- * `{ due, firstWrite }` so callers can hang one-time side effects (the
- * mid-edit GC) off the first claim.
+ * `s<d>search<d>replacement<d>flags` → `{ from, to }` when both sides are
+ * plain identifiers, else null.
  */
-function windowGateDue(statePath, windowMs) {
-  const now = Date.now();
-  let firstWrite = false;
-  try {
-    const last = JSON.parse(fs.readFileSync(statePath, 'utf-8')).last;
-    if (typeof last === 'number' && now - last < windowMs) {
-      return { due: false, firstWrite: false };
-    }
-  } catch {
-    // Missing/corrupt state = due (first claim of the window).
-    firstWrite = true;
-  }
-  try {
-    fs.writeFileSync(statePath, JSON.stringify({ last: now }));
-  } catch (e) {
-    debug('window gate state write failed:', e.message);
+function parseSubstitution(script) {
+  const match = /^s(.)/.exec(String(script).trim());
+  if (!match) return null;
+  const delimiter = match[1];
+  const parts = String(script).trim().slice(2).split(delimiter);
+  if (parts.length < 3) return null;
+  const from = parts[0].replace(SUBSTITUTION_BOUNDARIES, '');
+  const to = parts[1];
+  if (!isRenameIdentifier(from) || !/^[A-Za-z_$][\w$]*$/.test(to) || from === to) return null;
+  return { from, to };
+}
+
+/**
+ * An in-place rename in a Bash command — `sed -i` (any backup suffix,
+ * `--in-place`) or `perl -pi` (`-pie`, `-p -i`), also behind `xargs` — as
+ * `{ from, to, files }` (`files` as written, unexpanded). Null when no
+ * segment is one.
+ */
+function renameFromBashCommand(command) {
+  for (const words of commandSegments(command)) {
+    const found = inPlaceRename(words);
+    if (found) return found;
   }
-  return { due: true, firstWrite };
+  return null;
 }
 
-function postCommitStatePath(cwd) {
-  const key = crypto.createHash('sha256').update(String(cwd)).digest('hex').slice(0, 16);
-  return path.join(os.tmpdir(), `noodlbox-postcommit-${key}.json`);
+function inPlaceRename(words) {
+  if (path.basename(words[0] || '') === 'xargs') {
+    words = words.slice(1);
+    while (words.length && words[0].startsWith('-')) words = words.slice(1);
+  }
+  const tool = path.basename(words[0] || '');
+  if (tool !== 'sed' && tool !== 'perl') return null;
+  let inPlace = false;
+  let script = null;
+  const files = [];
+  for (let i = 1; i < words.length; i++) {
+    const word = words[i];
+    if (tool === 'sed' && (/^-i/.test(word) || word.startsWith('--in-place'))) {
+      inPlace = true;
+    } else if (tool === 'perl' && /^-[a-zA-Z]*i/.test(word)) {
+      inPlace = true;
+      if (/^-[a-zA-Z]*e$/.test(word)) script = words[++i];
+    } else if (word === '-e' || word === '--expression') {
+      script = words[++i];
+    } else if (word.startsWith('-')) {
+      // another flag
+    } else if (script === null) {
+      script = word;
+    } else {
+      files.push(word);
+    }
+  }
+  if (!inPlace || script === null) return null;
+  const rename = parseSubstitution(script);
+  return rename ? { ...rename, files } : null;
 }
 
 /**
- * True when a post-commit analyze may spawn for this repo — the shared
- * window gate keyed by repo path.
+ * An Edit payload that swaps one identifier for another: `{ from, to }`
+ * when the two strings differ only in identifier tokens, every difference
+ * being the same `from` → `to`. Null otherwise.
  */
-function postCommitAnalyzeDue(cwd) {
-  if (!cwd) return false;
-  return windowGateDue(postCommitStatePath(cwd), POST_COMMIT_ANALYZE_DEBOUNCE_MS).due;
+function renameFromEdit(oldString, newString) {
+  if (typeof oldString !== 'string' || typeof newString !== 'string') return null;
+  const split = (text) => text.split(/([A-Za-z_$][\w$]*)/);
+  const before = split(oldString);
+  const after = split(newString);
+  if (before.length !== after.length) return null;
+  let rename = null;
+  for (let i = 0; i < before.length; i++) {
+    if (before[i] === after[i]) continue;
+    if (i % 2 === 0) return null; // a non-identifier stretch changed
+    if (!rename) rename = { from: before[i], to: after[i] };
+    else if (rename.from !== before[i] || rename.to !== after[i]) return null;
+  }
+  return rename && isRenameIdentifier(rename.from) ? rename : null;
 }
 
 /**
- * Fire-and-forget `noodl analyze` after a commit moved HEAD (E3 ship
- * requirement 2 — the daemonless watcher emulation). Without this the
- * committed baseline goes stale on the first agent commit and every
- * later verify digest is the stale banner, exactly the defect that
- * voided the first loop-probe fleet. Detached + unref'd: the hook
- * returns immediately; analyze runs under the per-box flock; failures
- * are silent by design (the next verify surfaces staleness loudly).
- * Resolves the binary via NOODL_PATH like every other invocation in
- * this file — a hardcoded name would silently no-op under
- * NOODLBOX_CLI_PATH, re-introducing the stale-baseline defect exactly
- * where the override matters.
+ * Does an identifier-swapping Edit rename the definition of `from` — is
+ * the definition in the edited text, or (per the `noodl def` result) in the
+ * edited file?
  */
-function spawnPostCommitAnalyze(cwd) {
-  try {
-    const child = spawn(NOODL_PATH, ['analyze', '--skip-deps', '.'], {
-      cwd,
-      detached: true,
-      stdio: 'ignore',
-    });
-    child.on('error', (e) => debug('post-commit analyze spawn failed:', e.message));
-    child.unref();
-    return true;
-  } catch (e) {
-    debug('post-commit analyze spawn failed:', e.message);
-    return false;
-  }
+function editRenamesDefinition(from, oldString, filePath, resultText) {
+  if (extractDefinitions(oldString).has(from)) return true;
+  const answer = defEdges(resultText, 'incoming', []);
+  return Boolean(answer && sameFile(filePath, answer.symbol.file_path));
 }
 
 /**
- * Best-effort sweep of expired mid-edit state files — runs once per
- * session (its first write), mirroring the CLI's session-seen GC so
- * neither per-session tmp mechanism accumulates unbounded.
+ * The references a rename left behind: incoming edges of `from` (from a
+ * `noodl def` result for it, pre-change) whose file, under `boxRoot`, still
+ * spells `from`. `[{ file, line, name }]`, the definition site included when
+ * it was not renamed. Null when the answer is unusable (ambiguous, none).
  */
-function gcMidEditState(now) {
-  const cutoff = now - MID_EDIT_STATE_GC_HOURS * 3600 * 1000;
-  try {
-    for (const name of fs.readdirSync(os.tmpdir())) {
-      if (!name.startsWith('noodlbox-midedit-last-')) continue;
-      const full = path.join(os.tmpdir(), name);
+function remainingReferences(from, resultText, boxRoot) {
+  const answer = defEdges(resultText, 'incoming', Object.keys(DEF_EDGE_LABELS.incoming));
+  if (!answer) return null;
+  const word = new RegExp(`(^|[^\\w$])${from.replace(/\$/g, '\\$')}(?![\\w$])`);
+  const contents = new Map();
+  const linesOf = (file) => {
+    if (!contents.has(file)) {
+      let lines = null;
       try {
-        if (fs.statSync(full).mtimeMs < cutoff) {
-          fs.unlinkSync(full);
-        }
+        lines = fs.readFileSync(path.resolve(boxRoot, file), 'utf-8').split('\n');
       } catch {
-        // Raced away or unreadable — best-effort.
+        // Gone or unreadable: nothing left to report there.
       }
+      contents.set(file, lines);
     }
-  } catch (e) {
-    debug('mid-edit state GC failed:', e.message);
+    return contents.get(file);
+  };
+  const sites = [{ file: answer.symbol.file_path, line: answer.symbol.start_line, name: `definition of ${from}` }]
+    .concat(answer.edges);
+  const remaining = [];
+  const seen = new Set();
+  for (const site of sites) {
+    const lines = linesOf(site.file);
+    if (!lines) continue;
+    // Prefer the recorded line; edits shift lines, so fall back to the
+    // first spelling in the file.
+    let line = word.test(lines[site.line - 1] || '') ? site.line : 0;
+    if (!line) line = lines.findIndex((text) => word.test(text)) + 1;
+    if (!line || seen.has(`${site.file}:${line}`)) continue;
+    seen.add(`${site.file}:${line}`);
+    remaining.push({ file: site.file, line, name: site.name });
   }
+  return remaining;
 }
 
-function runNoodlSearch(query, cwd) {
-  try {
-    // Resolve symlinks to match how noodl stores paths (e.g., /var -> /private/var on macOS)
-    let resolvedCwd = cwd;
-    try {
-      resolvedCwd = fs.realpathSync(cwd);
-    } catch {
-      // If realpath fails, use original cwd
-    }
-
-    const startTime = Date.now();
-    // The hook augments an agent mid-task, so it requests the enriched
-    // `implement` intent instead of the lean Explore default — otherwise the
-    // intent-gated retrieval stages (anchor-and-expand, depth-bounded trace)
-    // never reach the installed surface (kettle plan, Amendment 1: a stage is
-    // not shipped until a caller actually requests the intent that turns it
-    // on). Explore stays available as the explicit lean opt-out.
-    let result = execFileSync(
-      NOODL_PATH,
-      ['search', query, '--box', resolvedCwd, '--limit', '50', '--intent', 'implement'],
-      { encoding: 'utf-8', timeout: SEARCH_TIMEOUT_MS, stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-    const elapsed = Date.now() - startTime;
+/**
+ * Findings-only digest for a rename with references left, or null.
+ */
+function formatRenameFindings(rename, remaining) {
+  if (!remaining || !remaining.length) return null;
+  const sites = remaining.slice(0, RENAME_MAX_SITES).map((site) => `  ${site.file}:${site.line} · ${site.name}`);
+  const omitted = remaining.length - sites.length;
+  if (omitted > 0) sites.push(`  (+${omitted} more)`);
+  const count = remaining.length;
+  return `Noodlbox rename check: ${rename.from} → ${rename.to} left ${count}`
+    + ` reference${count === 1 ? '' : 's'} to ${rename.from}:\n${sites.join('\n')}`;
+}
+
+// ---------------------------------------------------------------------------
+// Affected-test selection — when the agent runs the test suite.
+//
+// `npm test`, `cargo test`, `pytest`, `go test` without a filter run
+// everything. The working-tree diff against the analyzed baseline (the
+// last finished background analyze's target, else HEAD) names the changed
+// definitions — hunk headers and changed lines through the same head parse
+// as the edit guards — and a bounded walk up incoming `calls` edges from
+// them collects the test functions and test files that reach them. The
+// agent gets the list and the runner's filter for it; the command itself
+// runs untouched. A command that already filters is left alone.
+// ---------------------------------------------------------------------------
 
-    // Shorten absolute paths to relative (handle both original and resolved paths)
-    const resolvedCwdWithSlash = resolvedCwd.endsWith('/') ? resolvedCwd : resolvedCwd + '/';
-    const cwdWithSlash = cwd.endsWith('/') ? cwd : cwd + '/';
-    result = result.replaceAll(resolvedCwdWithSlash, './').replaceAll(cwdWithSlash, './');
+const TEST_SELECTION_MAX_SYMBOLS = 8;
+const TEST_SELECTION_MAX_LOOKUPS = 16;
+const TEST_SELECTION_DEPTH = 3;
+const TEST_SELECTION_MAX_TESTS = 30;
 
-    debug('Search succeeded:', { resultLength: result.length, elapsedMs: elapsed });
-    return { success: true, result, elapsed };
-  } catch (error) {
-    const stderr = error.stderr || '';
-    const stdout = error.stdout || '';
-    debug('Search failed:', stderr.slice(0, 200), stdout.slice(0, 200));
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|spec)\/|(^|\/)test_[^/]+\.py$|_test\.(py|go)$|\.(test|spec)\.[cm]?[jt]sx?$/;
+const TEST_NAME_PATTERN = /^(test_?|Test[A-Z_]|Benchmark[A-Z_])|(^|::|\.)tests?::|(^|::|\.)test_/;
 
-    const notIndexed = stderr.includes('not indexed') || stderr.includes('not found') ||
-                       stdout.includes('not indexed') || stdout.includes('not found') ||
-                       stdout.includes('No analyzed repository');
+// cargo flags whose value is not a test filter.
+const CARGO_VALUE_FLAGS = new Set([
+  '-p', '--package', '--features', '-F', '-j', '--jobs', '--target', '--manifest-path',
+  '--profile', '--exclude', '--target-dir', '--color', '--message-format',
+]);
 
-    return { success: false, notIndexed };
+/**
+ * A test-runner invocation in a Bash command: `{ runner, base, filtered }`
+ * with `runner` one of npm | cargo | pytest | go (yarn/pnpm/npx jest/vitest
+ * count as npm, `python -m pytest` as pytest) and `base` the command a
+ * file filter is appended to for the npm family. Null when there is none.
+ */
+function testRunnerCommand(command) {
+  for (const words of commandSegments(command)) {
+    const tool = path.basename(words[0]);
+    const args = words.slice(1);
+    const positional = args.filter((arg) => !arg.startsWith('-'));
+    if (['npm', 'yarn', 'pnpm'].includes(tool)) {
+      const script = positional[0] === 'run' ? positional[1] : positional[0];
+      if (script === 'test' || script === 't') {
+        return {
+          runner: 'npm',
+          base: tool === 'yarn' ? 'yarn test' : `${tool} test --`,
+          filtered: args.includes('--') || positional.length > (positional[0] === 'run' ? 2 : 1),
+        };
+      }
+    } else if (tool === 'npx' && ['jest', 'vitest'].includes(positional[0])) {
+      return { runner: 'npm', base: `npx ${positional[0]}`, filtered: positional.length > 1 || args.includes('-t') };
+    } else if (tool === 'cargo' && positional[0] === 'test') {
+      const filters = [];
+      for (let i = args.indexOf('test') + 1; i < args.length && args[i] !== '--'; i++) {
+        if (CARGO_VALUE_FLAGS.has(args[i])) i++;
+        else if (!args[i].startsWith('-')) filters.push(args[i]);
+      }
+      return { runner: 'cargo', filtered: filters.length > 0 || args.includes('--') };
+    } else if (tool === 'pytest' || (/^python[\d.]*$/.test(tool) && args[0] === '-m' && args[1] === 'pytest')) {
+      const rest = tool === 'pytest' ? args : args.slice(2);
+      return { runner: 'pytest', filtered: rest.includes('-k') || rest.some((arg) => !arg.startsWith('-')) };
+    } else if (tool === 'go' && positional[0] === 'test') {
+      return { runner: 'go', filtered: args.some((arg) => arg === '-run' || arg.startsWith('-run=')) };
+    }
   }
+  return null;
+}
+
+function isTestSite(file, name) {
+  return TEST_FILE_PATTERN.test(String(file || '')) || TEST_NAME_PATTERN.test(String(name || ''));
 }
 
 /**
- * Symbol context for a bare identifier — where it is defined, who calls it,
- * what it calls. The route for "the agent already knows the symbol name": `rg`
- * answers where the TEXT occurs; the graph answers where the DEFINITION is and
- * what surrounds it.
+ * Definitions the working tree changes against the analyzed baseline:
+ * `{ symbols, tests }` — names to walk from, and changed definitions that
+ * are tests themselves (`{ file, name }`). Null when git cannot say.
  */
-function runNoodlDef(symbol, cwd) {
-  let resolvedCwd = cwd;
-  try {
-    resolvedCwd = fs.realpathSync(cwd);
-  } catch {
-    // Fall back to the raw cwd (matches runNoodlSearch).
+async function changedDefinitions(cwd, boxId) {
+  const toplevel = await runGit(['rev-parse', '--show-toplevel'], cwd);
+  if (!toplevel) return null;
+  const status = boxId ? readAnalyzeStatus(boxId) : null;
+  const base = status && status.state === 'finished' && status.target ? status.target : 'HEAD';
+  const diff = await runGit(['diff', '-U0', '--no-color', '--no-ext-diff', base], toplevel);
+  if (diff === null) return null;
+  const symbols = new Set();
+  const tests = [];
+  let file = null;
+  let hunk = [];
+  const flush = () => {
+    if (!file || !hunk.length) return;
+    for (const name of extractDefinitions(hunk.join('\n')).keys()) {
+      if (isTestSite(file, name)) tests.push({ file, name });
+      else symbols.add(name);
+    }
+    hunk = [];
+  };
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      flush();
+      file = line === '+++ /dev/null' ? null : line.slice(4).replace(/^b\//, '');
+    } else if (line.startsWith('@@')) {
+      flush();
+      // The hunk header's trailing context is git's enclosing-function line.
+      hunk.push(line.replace(/^@@[^@]*@@ ?/, ''));
+    } else if (/^[+-]/.test(line) && !line.startsWith('--- ')) {
+      hunk.push(line.slice(1));
+    }
   }
-  const startTime = Date.now();
-  try {
-    const result = execFileSync(
-      NOODL_PATH,
-      ['def', symbol, '--box', resolvedCwd],
-      { encoding: 'utf-8', timeout: SEARCH_TIMEOUT_MS, stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-    debug('Def succeeded:', { resultLength: result.length, elapsedMs: Date.now() - startTime });
-    return { success: true, result, elapsed: Date.now() - startTime };
-  } catch (error) {
-    debug('Def failed:', (error.stderr || error.message || '').slice(0, 200));
-    return { success: false, elapsed: Date.now() - startTime };
+  flush();
+  return { symbols: [...symbols].slice(0, TEST_SELECTION_MAX_SYMBOLS), tests };
+}
+
+/**
+ * Tests reaching `symbols` over incoming `calls` edges, breadth-first up to
+ * TEST_SELECTION_DEPTH levels and TEST_SELECTION_MAX_LOOKUPS `noodl def`
+ * answers. `lookup(name)` resolves a def outcome (the caller's — so it
+ * goes through the session cache). Resolves `{ tests, failed }`.
+ */
+async function testsReaching(symbols, lookup) {
+  const tests = new Map();
+  const visited = new Set(symbols);
+  let frontier = [...symbols];
+  let lookups = 0;
+  let failed = false;
+  for (let depth = 0; depth < TEST_SELECTION_DEPTH && frontier.length; depth++) {
+    const batch = frontier.slice(0, TEST_SELECTION_MAX_LOOKUPS - lookups);
+    lookups += batch.length;
+    const answers = await Promise.all(batch.map((name) => lookup(name)));
+    const next = [];
+    for (const answer of answers) {
+      if (!answer.success) {
+        failed = true;
+        continue;
+      }
+      const found = defEdges(answer.result, 'incoming', ['calls']);
+      for (const edge of (found ? found.edges : [])) {
+        if (isTestSite(edge.file, edge.name)) {
+          tests.set(`${edge.file}\0${edge.name}`, { file: edge.file, name: edge.name });
+        } else if (edge.name && !visited.has(edge.name)) {
+          visited.add(edge.name);
+          next.push(edge.name);
+        }
+      }
+    }
+    frontier = next;
   }
+  return { tests: [...tests.values()].slice(0, TEST_SELECTION_MAX_TESTS), failed };
 }
 
-// The agent-facing `def` digest renders every non-empty edge category, largest
-// first, from this label table — not an allowlist. `LanceStorage` has zero
-// `calls` and many `uses`; an allowlist of "interesting" categories would
-// render nothing at all for it.
-const DEF_EDGE_LABELS = {
-  incoming: {
-    calls: 'callers', uses: 'used by', imports: 'imported by',
-    implements: 'implementors', extends: 'subclasses', contains: 'contained by',
-    external_calls: 'external callers', external_imports: 'external importers',
-    external_extends: 'external subclasses', external_implements: 'external implementors',
-  },
-  outgoing: {
-    calls: 'calls', uses: 'uses', imports: 'imports',
-    implements: 'implements', extends: 'extends', contains: 'contains',
-    external_calls: 'calls (external)', external_imports: 'imports (external)',
-    external_extends: 'extends (external)', external_implements: 'implements (external)',
-  },
-};
+function shellQuote(word) {
+  return /^[\w@%+=:,./-]+$/.test(word) ? word : `'${String(word).replace(/'/g, "'\\''")}'`;
+}
 
-const DEF_MAX_EDGES_PER_CATEGORY = 8;
+/**
+ * The runner's command line for just `tests` (`{ file, name }`); `base`
+ * is testRunnerCommand's, for the npm family.
+ */
+function testFilterCommand(runner, tests, base = 'npm test --') {
+  const unique = (values) => [...new Set(values)];
+  const leaf = (name) => String(name).split(/::|\./).pop();
+  switch (runner) {
+    case 'npm':
+      return `${base} ${unique(tests.map((t) => t.file)).map(shellQuote).join(' ')}`;
+    case 'cargo':
+      return `cargo test -- ${unique(tests.map((t) => leaf(t.name))).map(shellQuote).join(' ')}`;
+    case 'pytest':
+      return `pytest -k ${shellQuote(unique(tests.map((t) => leaf(t.name))).join(' or '))}`;
+    case 'go': {
+      const packages = unique(tests.map((t) => `./${path.posix.dirname(t.file)}`));
+      const names = unique(tests.map((t) => leaf(t.name)));
+      return `go test -run ${shellQuote(`^(${names.join('|')})$`)} ${packages.map(shellQuote).join(' ')}`;
+    }
+    default:
+      return null;
+  }
+}
 
 /**
- * Render a `noodl def` result as the agent digest: the definition site, the
- * first signature line, and the call surface. An ambiguous lookup lists its
- * candidates so the agent can disambiguate. Returns null when there is nothing
- * to deliver — the caller's signal to inject nothing.
- *
- * `noodl def` interns edge file paths: an edge's `file` is an index into the
- * top-level `files` array, not a path.
+ * The agent-facing selection digest, or null when no test reaches the
+ * changes.
+ */
+function formatTestSelection(invocation, tests) {
+  if (!tests.length) return null;
+  const lines = tests.map((t) => `  ${t.file} · ${t.name}`);
+  return `Noodlbox: tests reaching your changes (${tests.length}):\n${lines.join('\n')}\n`
+    + `To run just these: ${testFilterCommand(invocation.runner, tests, invocation.base)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Stack-trace context — failed Bash commands.
+//
+// A failing test or script prints a stack trace and the agent then greps
+// its frames one at a time. parseStackFrames reads the frames of the common
+// formats (Node, Python, Rust panics and backtraces, Java, Go) out of the
+// tool response; frames whose file resolves inside the box are looked up by
+// function name with `noodl def` and shown with the definition site and
+// callers the graph has in the frame's file (a frame whose name the graph
+// places only elsewhere is a different function, and is left out), and
+// runs of frames outside it (runtimes, node_modules, site-packages, cargo
+// registry, module cache, the JDK) collapse to one line. Frames are kept in
+// trace order, innermost first as printed.
+// ---------------------------------------------------------------------------
+
+const STACK_MAX_FRAMES = 8;
+const STACK_MAX_CALLERS = 3;
+
+const STACK_FRAME_PATTERNS = [
+  // Node: `at fn (/abs/file.js:12:5)`, `at /abs/file.js:12:5`, file:// URLs
+  { lang: 'node', re: /^\s*at (?:(?:async |new )?([^\s(]+) )?\(?(?:file:\/\/)?([^\s()]+?):(\d+):\d+\)?\s*$/ },
+  // Python: `File "x.py", line 12, in func`
+  { lang: 'python', re: /^\s*File "([^"]+)", line (\d+), in (\S+)/, order: ['file', 'line', 'func'] },
+  // Rust: `panicked at src/main.rs:10:5` (1.73+) and `panicked at 'msg', src/main.rs:10:5`
+  { lang: 'rust', re: /panicked at (?:'.*', )?([^\s:']+\.rs):(\d+):\d+/, order: ['file', 'line'] },
+  // Java: `at com.acme.Config.parse(Config.java:42)`
+  { lang: 'java', re: /^\s*at ([\w$.<>/]+)\(([\w$]+\.(?:java|kt|scala)):(\d+)\)/, order: ['func', 'file', 'line'] },
+];
+// Two-line frames: a function line, then its `at file:line` (Rust
+// backtraces) or tab-indented `file:line +0x..` (Go) location line.
+const STACK_FUNCTION_LINE = /^\s*(?:\d+: )?([\w$<>{}.:/*()[\]-]+?)(?:\((?:0x[0-9a-f]+|\.\.\.|, )*\))?\s*$/;
+const STACK_LOCATION_LINE = /^\s*(?:at )?(\/?[^\s:]+\.(?:rs|go)):(\d+)(?::\d+)?(?: \+0x[0-9a-f]+)?\s*$/;
+
+const EXTERNAL_FRAME = /(^|\/)(node_modules|site-packages|dist-packages|\.cargo\/registry|\.rustup|rustc\/[0-9a-f]+|go\/pkg\/mod|vendor)\/|^node:|^internal\/|^<frozen |^\/usr\/(local\/)?(lib|go)\/|^java\.|^javax\.|^jdk\.|^sun\.|^kotlin\./;
+
+/**
+ * The text of a tool response: stderr, then stdout (whichever fields the
+ * host's shape carries), or the string itself.
+ */
+function toolResponseText(toolResponse) {
+  if (!toolResponse) return '';
+  if (typeof toolResponse === 'string') return toolResponse;
+  const parts = ['stderr', 'stdout', 'output', 'result']
+    .map((field) => toolResponse[field])
+    .filter((value) => typeof value === 'string' && value);
+  return parts.join('\n');
+}
+
+/**
+ * Stack frames in `text`: `[{ lang, file, line, func }]` (`func` null when
+ * the trace names none). A location printed twice (a Rust panic line and
+ * its backtrace frame) is one frame, named if either names it.
+ */
+function parseStackFrames(text) {
+  const frames = [];
+  const seen = new Map();
+  const add = (frame) => {
+    const key = `${frame.file.replace(/^\.\//, '')}:${frame.line}`;
+    const prior = seen.get(key);
+    if (prior) {
+      if (!prior.func) prior.func = frame.func;
+      return;
+    }
+    seen.set(key, frame);
+    frames.push(frame);
+  };
+  const lines = String(text).split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let matched = false;
+    for (const { lang, re, order } of STACK_FRAME_PATTERNS) {
+      const m = line.match(re);
+      if (!m) continue;
+      const fields = { func: null };
+      (order || ['func', 'file', 'line']).forEach((name, k) => {
+        fields[name] = m[k + 1] || null;
+      });
+      add({ lang, file: fields.file, line: Number(fields.line), func: fields.func });
+      matched = true;
+      break;
+    }
+    if (matched) continue;
+    const location = (lines[i + 1] || '').match(STACK_LOCATION_LINE);
+    const func = location && line.match(STACK_FUNCTION_LINE);
+    if (func) {
+      add({ lang: location[1].endsWith('.go') ? 'go' : 'rust', file: location[1], line: Number(location[2]), func: func[1] });
+      i++;
+    }
+  }
+  return frames;
+}
+
+/**
+ * The symbol name to look a frame's function up by: the last path segment
+ * (`crate::cfg::parse` → `parse`, `main.(*Server).Handle` → `Handle`,
+ * `Object.parseConfig` → `parseConfig`), closures resolved to their
+ * enclosing function, hash suffixes dropped. Null for anonymous frames.
+ */
+function frameSymbol(func) {
+  if (!func) return null;
+  const segments = String(func)
+    .replace(/::h[0-9a-f]{16}$/, '')
+    .split(/::|\.|\//)
+    .filter((seg) => seg && !/^\{\{closure\}\}$|^\(\*?[\w$]+\)$|^func\d+$|^<.*>$|^\d+$/.test(seg));
+  const leaf = segments.pop();
+  return leaf && /^[A-Za-z_$][\w$]*$/.test(leaf) ? leaf : null;
+}
+
+/**
+ * A frame's file relative to `boxRoot`, or null when it lies outside the
+ * box or in a dependency. Relative paths are tried against `cwd`, then the
+ * box root; a bare Java/Kotlin file name stays as is (the def answer
+ * places it).
+ */
+function frameLocation(frame, boxRoot, cwd) {
+  const file = String(frame.file);
+  if (EXTERNAL_FRAME.test(file) || (frame.lang === 'java' && EXTERNAL_FRAME.test(frame.func || ''))) return null;
+  if (frame.lang === 'java') return file;
+  const candidates = path.isAbsolute(file) ? [file] : [path.resolve(cwd, file), path.resolve(boxRoot, file)];
+  for (const candidate of candidates) {
+    const rel = path.relative(boxRoot, candidate);
+    if (rel.startsWith('..') || path.isAbsolute(rel) || EXTERNAL_FRAME.test(rel)) continue;
+    if (fs.existsSync(candidate)) return rel.split(path.sep).join('/');
+  }
+  return null;
+}
+
+/**
+ * Trace entries for `frames`: in-repo frames as `{ lang, rel, line, symbol }`
+ * and each run of frames outside the repo as one `{ external: n }`, up to
+ * STACK_MAX_FRAMES in-repo frames.
+ */
+function stackEntries(frames, boxRoot, cwd) {
+  const entries = [];
+  let inRepo = 0;
+  for (const frame of frames) {
+    const rel = frameLocation(frame, boxRoot, cwd);
+    if (!rel) {
+      const last = entries[entries.length - 1];
+      if (last && last.external) last.external += 1;
+      else entries.push({ external: 1 });
+      continue;
+    }
+    if (++inRepo > STACK_MAX_FRAMES) break;
+    entries.push({ lang: frame.lang, rel, line: frame.line, symbol: frameSymbol(frame.func) });
+  }
+  return entries;
+}
+
+/**
+ * The definition a stack entry's def `answer` gives in the entry's own file,
+ * as defEdges' `{ symbol, edges }` (incoming calls): the answer's symbol, or
+ * of an ambiguous answer the candidate in that file (no edges). Null without
+ * a usable answer; false when the graph places the name only in other files.
  */
-function formatDefContext(symbol, resultText) {
+function frameDefinition(entry) {
+  if (!entry.answer) return null;
+  const inFrameFile = (file) => typeof file === 'string'
+    && (sameFile(entry.rel, file) || sameFile(file, entry.rel));
   let data;
   try {
-    data = JSON.parse(resultText);
+    data = JSON.parse(entry.answer);
   } catch {
     return null;
   }
-
-  if (data.status === 'ambiguous') {
+  if (data && data.status === 'ambiguous') {
     const candidates = Array.isArray(data.candidates) ? data.candidates : [];
-    if (candidates.length === 0) return null;
-    const lines = candidates
-      .slice(0, DEF_MAX_EDGES_PER_CATEGORY)
-      .map((c) => `${c.file_path}:${c.line} · ${c.name} · ${c.kind}`);
-    return `Noodlbox: "${symbol}" is ambiguous (${candidates.length} candidates):\n${lines.join('\n')}`;
+    const match = candidates.find((candidate) => candidate && inFrameFile(candidate.file_path));
+    if (match) return { symbol: { ...match, start_line: match.line }, edges: [] };
+    return candidates.length ? false : null;
   }
+  const found = defEdges(entry.answer, 'incoming', ['calls']);
+  if (!found) return null;
+  return inFrameFile(found.symbol.file_path) ? found : false;
+}
 
-  const detail = data.symbol;
-  if (!detail || typeof detail.file_path !== 'string') return null;
+/**
+ * The compact trace view of stackEntries' entries, each in-repo one with
+ * `answer` (its symbol's def result text, or null): definition site and
+ * callers where the graph places the symbol in the frame's file. A frame
+ * whose name the graph places only in other files is left out, and a bare
+ * Java/Kotlin file name the graph does not place is not in the repo after
+ * all. Null when no frame is.
+ */
+function formatStackContext(entries) {
+  const resolved = [];
+  for (const entry of entries) {
+    let found = null;
+    if (!entry.external) {
+      found = frameDefinition(entry);
+      if (found === false && entry.lang !== 'java') continue;
+    }
+    const external = entry.external || (entry.lang === 'java' && !found ? 1 : 0);
+    const last = resolved[resolved.length - 1];
+    if (external && last && last.external) last.external += external;
+    else resolved.push(external ? { external } : { ...entry, found });
+  }
+  const inRepo = resolved.filter((entry) => !entry.external);
+  if (!inRepo.length) return null;
+  const lines = [];
+  let index = 0;
+  for (const entry of resolved) {
+    if (entry.external) {
+      lines.push(`  … ${entry.external} frame${entry.external === 1 ? '' : 's'} outside the repo`);
+      continue;
+    }
+    index += 1;
+    const rel = entry.found && entry.lang === 'java' ? entry.found.symbol.file_path : entry.rel;
+    let line = `#${index} ${rel}:${entry.line}${entry.symbol ? ` · ${entry.symbol}` : ''}`;
+    if (entry.found) {
+      line += ` — defined ${entry.found.symbol.file_path}:${entry.found.symbol.start_line}`;
+      const edges = entry.found.edges;
+      if (edges.length) {
+        const callers = edges.slice(0, STACK_MAX_CALLERS)
+          .map((edge) => `${String(edge.file).split('/').pop()}:${edge.line} ${edge.name}`);
+        const more = edges.length - callers.length;
+        line += ` · callers: ${callers.join(', ')}${more > 0 ? ` (+${more})` : ''}`;
+      }
+    }
+    lines.push(line);
+  }
+  return `Noodlbox stack trace context (${inRepo.length} in-repo frame${inRepo.length === 1 ? '' : 's'}):\n`
+    + lines.join('\n');
+}
 
-  const files = Array.isArray(data.files) ? data.files : [];
-  const lines = [`${detail.file_path}:${detail.start_line} · ${detail.name} · ${detail.kind}`];
-  if (detail.signature) {
-    lines.push(detail.signature.split('\n')[0].trimEnd());
+// ---------------------------------------------------------------------------
+// Compiler diagnostics — failed tsc / cargo / go build / mypy runs.
+//
+// A type error names a file:line and, usually, the symbol at fault — the
+// callee of an arity error, the type missing a member, the name that does
+// not resolve. parseDiagnostics reads the four tools' formats (ANSI colour
+// stripped; rustc's `error[E..]:` line paired with its `-->` location) and
+// picks that target, from the message's quoted names or, when the message
+// names none (`Expected 2 arguments, but got 1`), from the identifier called
+// at the reported column. Each target is answered from `noodl def` with what
+// fixes that kind of error without a grep/read cycle: the current signature
+// (arity, unresolved name), the members and implemented traits or
+// implementors (missing member, missing trait item).
+// ---------------------------------------------------------------------------
+
+const DIAGNOSTIC_MAX = 6;
+const DIAGNOSTIC_MAX_EDGES = 12;
+const ANSI_ESCAPE = /\x1b\[[0-9;]*m/g;
+
+const DIAGNOSTIC_LINE_PATTERNS = [
+  { tool: 'tsc', re: /^(.+?\.[cm]?tsx?)\((\d+),(\d+)\): error (TS\d+): (.*)$/ },
+  { tool: 'tsc', re: /^(.+?\.[cm]?tsx?):(\d+):(\d+) - error (TS\d+): (.*)$/ },
+  { tool: 'mypy', re: /^(.+?\.pyi?):(\d+)(?::(\d+))?: error: (.*?)(?:\s+\[([\w-]+)\])?$/, order: ['file', 'line', 'col', 'message', 'code'] },
+  { tool: 'go', re: /^(\.{0,2}\/?[^\s:]+\.go):(\d+):(\d+): (.*)$/, order: ['file', 'line', 'col', 'message'] },
+];
+const RUSTC_HEADER = /^error(?:\[(E\d+)\])?: (.*)$/;
+const RUSTC_LOCATION = /^\s*--> (.+?):(\d+):(\d+)$/;
+
+const DIAGNOSTIC_KINDS = [
+  { kind: 'trait-items', re: /not all trait items implemented/i },
+  { kind: 'arity', re: /expected \d+ arguments?|takes \d+ arguments?|(?:not enough|too many|too few) arguments|missing \d+ required positional argument/i },
+  { kind: 'member', re: /no (?:method|field|associated item|function)s? named|does not exist on type|has no attribute|has no field or method/i },
+  { kind: 'unresolved', re: /cannot find (?:name|value|function|type|struct|trait|macro)|^undefined: |is not defined|Cannot find name|unresolved import/i },
+];
+
+const QUOTED_NAME = /[`'"]&?(?:mut )?([A-Za-z_$][\w$]*(?:(?:::|\.)[A-Za-z_$][\w$]*)*)(?:<[^`'"]*>)?[`'"]/g;
+
+function lastSegment(name) {
+  return name ? String(name).split(/::|\./).pop() : null;
+}
+
+/**
+ * The identifier called at (or just after) 1-based `col` of `file`'s
+ * `line` — the callee of an arity error whose message names none.
+ */
+function calleeAt(file, line, col, cwd) {
+  const text = readFileText(path.resolve(cwd, file));
+  const source = text && text.split('\n')[line - 1];
+  if (!source) return null;
+  const match = source.slice(Math.max(0, (col || 1) - 1)).match(/([A-Za-z_$][\w$]*)\s*(?:<[^>()]*>)?\s*\(/);
+  return match ? match[1] : null;
+}
+
+/**
+ * The symbol a diagnostic is about, by kind — or null.
+ */
+function diagnosticTarget(diagnostic, cwd) {
+  const quoted = [...diagnostic.message.matchAll(QUOTED_NAME)].map((m) => m[1]);
+  const { kind, message } = diagnostic;
+  if (kind === 'arity') {
+    const goCall = message.match(/arguments in call to ([\w.]+)/);
+    if (goCall) return lastSegment(goCall[1]);
+    if (diagnostic.tool === 'mypy' && quoted.length) return lastSegment(quoted[0]);
+    return calleeAt(diagnostic.file, diagnostic.line, diagnostic.col, cwd);
+  }
+  if (kind === 'member') {
+    const goType = message.match(/\(type \*?([\w.]+) has no field or method/);
+    if (goType) return lastSegment(goType[1]);
+    // mypy: "Foo" has no attribute "bar" — the type comes first; rustc and
+    // tsc name the member first and the type last.
+    const type = diagnostic.tool === 'mypy' ? quoted[0] : quoted[quoted.length - 1];
+    return quoted.length >= 2 || diagnostic.tool === 'mypy' ? lastSegment(type) : null;
+  }
+  if (kind === 'trait-items') {
+    const text = readFileText(path.resolve(cwd, diagnostic.file));
+    const source = text && text.split('\n')[diagnostic.line - 1];
+    const impl = source && source.match(/impl(?:<[^>]*>)?\s+([\w:]+)(?:<[^>]*>)?\s+for\b/);
+    return impl ? lastSegment(impl[1]) : null;
+  }
+  if (kind === 'unresolved') {
+    const goName = message.match(/^undefined: ([\w.]+)/);
+    if (goName) return lastSegment(goName[1]);
+    return quoted.length ? lastSegment(quoted[0]) : null;
   }
+  return null;
+}
 
-  const categories = [];
-  for (const direction of ['incoming', 'outgoing']) {
-    const group = data[direction];
-    if (!group || typeof group !== 'object') continue;
-    for (const [name, edges] of Object.entries(group)) {
-      if (!Array.isArray(edges) || edges.length === 0) continue;
-      const label = (DEF_EDGE_LABELS[direction] && DEF_EDGE_LABELS[direction][name])
-        || `${direction} ${name}`;
-      categories.push([label, edges]);
+/**
+ * Diagnostics in a compiler/type-checker's output: `[{ tool, file, line,
+ * col, code, message, kind, target }]` for the recognized kinds with a
+ * target, at most DIAGNOSTIC_MAX, duplicates (same location and target)
+ * dropped.
+ */
+function parseDiagnostics(text, cwd) {
+  const lines = String(text).replace(ANSI_ESCAPE, '').split(/\r?\n/);
+  const raw = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const header = line.match(RUSTC_HEADER);
+    if (header) {
+      for (let j = i + 1; j < Math.min(lines.length, i + 4); j++) {
+        const at = lines[j].match(RUSTC_LOCATION);
+        if (at) {
+          raw.push({ tool: 'cargo', file: at[1], line: Number(at[2]), col: Number(at[3]), code: header[1] || null, message: header[2] });
+          break;
+        }
+      }
+      continue;
+    }
+    for (const { tool, re, order } of DIAGNOSTIC_LINE_PATTERNS) {
+      const m = line.match(re);
+      if (!m) continue;
+      const fields = {};
+      (order || ['file', 'line', 'col', 'code', 'message']).forEach((name, k) => {
+        fields[name] = m[k + 1];
+      });
+      raw.push({
+        tool,
+        file: fields.file,
+        line: Number(fields.line),
+        col: fields.col ? Number(fields.col) : null,
+        code: fields.code || null,
+        message: fields.message.trim(),
+      });
+      break;
     }
   }
-  categories.sort((a, b) => b[1].length - a[1].length);
+  const diagnostics = [];
+  const seen = new Set();
+  for (const diagnostic of raw) {
+    const match = DIAGNOSTIC_KINDS.find(({ re }) => re.test(diagnostic.message));
+    if (!match) continue;
+    const entry = { ...diagnostic, kind: match.kind };
+    entry.target = diagnosticTarget(entry, cwd);
+    const key = `${entry.file}:${entry.line}:${entry.target}`;
+    if (!entry.target || seen.has(key)) continue;
+    seen.add(key);
+    diagnostics.push(entry);
+    if (diagnostics.length >= DIAGNOSTIC_MAX) break;
+  }
+  return diagnostics;
+}
 
-  for (const [label, edges] of categories) {
-    lines.push(`${label} (${edges.length}):`);
-    for (const edge of edges.slice(0, DEF_MAX_EDGES_PER_CATEGORY)) {
-      const path = typeof edge.file === 'number' ? files[edge.file] : edge.file_path;
-      const basename = (path || '?').split('/').pop() || path || '?';
-      lines.push(`  ${basename}:${edge.line} · ${edge.name}`);
+// What each kind of error needs from the target's def answer.
+const DIAGNOSTIC_EDGES = {
+  arity: [],
+  unresolved: [],
+  member: [['outgoing', 'contains', 'members'], ['outgoing', 'implements', 'implements'], ['incoming', 'implements', 'implementors']],
+  'trait-items': [['outgoing', 'contains', 'items'], ['incoming', 'implements', 'implementors']],
+};
+
+/**
+ * The graph context for each diagnostic (`answer` = def result text of its
+ * target, or null): the target's definition site and signature, plus the
+ * edges its kind calls for. Diagnostics the graph cannot resolve are left
+ * out; null when none is resolved.
+ */
+function formatDiagnosticContext(diagnostics) {
+  const blocks = [];
+  for (const diagnostic of diagnostics) {
+    let data;
+    try {
+      data = diagnostic.answer ? JSON.parse(diagnostic.answer) : null;
+    } catch {
+      data = null;
     }
-    const omitted = edges.length - DEF_MAX_EDGES_PER_CATEGORY;
-    if (omitted > 0) lines.push(`  (+${omitted} more)`);
+    const symbol = data && data.symbol;
+    if (!symbol || typeof symbol.file_path !== 'string') continue;
+    const lines = [
+      `${diagnostic.file}:${diagnostic.line} ${diagnostic.code ? `${diagnostic.code} ` : ''}${diagnostic.message}`,
+      `  ${symbol.name || diagnostic.target} — ${symbol.file_path}:${symbol.start_line}`,
+    ];
+    if (symbol.signature) lines.push(`  ${symbol.signature.split('\n')[0].trim()}`);
+    for (const [direction, kind, label] of DIAGNOSTIC_EDGES[diagnostic.kind] || []) {
+      const found = defEdges(diagnostic.answer, direction, [kind]);
+      if (!found || !found.edges.length) continue;
+      const names = [...new Set(found.edges.map((edge) => lastSegment(edge.name)))];
+      const shown = names.slice(0, DIAGNOSTIC_MAX_EDGES);
+      lines.push(`  ${label} (${names.length}): ${shown.join(', ')}${names.length > shown.length ? ', …' : ''}`);
+    }
+    blocks.push(lines.join('\n'));
   }
+  if (!blocks.length) return null;
+  return `Noodlbox compiler diagnostics (${blocks.length} resolved):\n${blocks.join('\n')}`;
+}
 
-  return `Noodlbox definition of "${symbol}":\n${lines.join('\n')}`;
+// ---------------------------------------------------------------------------
+// Commit gate — opt-in (`[limits] commit_gate = "ask" | "deny"`).
+//
+// The commit audit is advisory by design: findings ride in as context and
+// the commit runs. A box that wants a hard gate sets `commit_gate`; the
+// audit's findings are then graded by the severity tag each line carries
+// (`[high]`, `HIGH:`, `severity: high`, `(high)`; error/warning/info read
+// as high/medium/low) and any at or above `commit_gate_severity` turns the
+// decision into 'ask' or 'deny'. Everything that is not a graded finding
+// stays allow — a failed or empty audit never blocks. The user (not the
+// agent: the hook reads the host's environment, not the command's) can lift
+// the gate with NOODLBOX_COMMIT_GATE_BYPASS=1.
+// ---------------------------------------------------------------------------
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+const SEVERITY_ALIASES = { info: 'low', warning: 'medium', warn: 'medium', error: 'high' };
+const SEVERITY_WORD = '(critical|high|medium|low|error|warning|warn|info)';
+const SEVERITY_TAG = new RegExp(
+  `\\[${SEVERITY_WORD}\\]|\\(${SEVERITY_WORD}\\)|severity[:=]\\s*${SEVERITY_WORD}|^\\s*(?:[-*•]\\s*)?${SEVERITY_WORD}:`,
+  'i'
+);
+// Finding lines quoted in a gate reason; the full digest is in the context.
+const COMMIT_GATE_REASON_FINDINGS = 3;
+
+function commitGateBypassed() {
+  return ['1', 'true'].includes(String(process.env.NOODLBOX_COMMIT_GATE_BYPASS || '').toLowerCase());
+}
+
+/**
+ * Severity-tagged lines of a verify digest: `[{ severity, line }]`, with
+ * `severity` one of low | medium | high | critical.
+ */
+function parseFindingSeverities(digest) {
+  const findings = [];
+  for (const line of String(digest).split(/\r?\n/)) {
+    const match = line.match(SEVERITY_TAG);
+    if (!match) continue;
+    const word = match.slice(1).find(Boolean).toLowerCase();
+    findings.push({ severity: SEVERITY_ALIASES[word] || word, line: line.trim() });
+  }
+  return findings;
+}
+
+/**
+ * The commit gate's verdict on an audit digest under `limits`: null
+ * (allow), or `{ decision: 'ask' | 'deny', reason }`.
+ */
+function commitGateDecision(digest, limits) {
+  if (limits.commit_gate === 'off' || commitGateBypassed()) return null;
+  const threshold = SEVERITY_RANK[limits.commit_gate_severity];
+  const blocking = parseFindingSeverities(digest)
+    .filter((finding) => SEVERITY_RANK[finding.severity] >= threshold);
+  if (!blocking.length) return null;
+  const shown = blocking.slice(0, COMMIT_GATE_REASON_FINDINGS).map((finding) => `  ${finding.line}`);
+  if (blocking.length > shown.length) shown.push(`  … and ${blocking.length - shown.length} more`);
+  return {
+    decision: limits.commit_gate,
+    reason: `Noodlbox commit gate: ${blocking.length} finding${blocking.length === 1 ? '' : 's'}`
+      + ` at or above ${limits.commit_gate_severity} severity in the changes being committed:\n`
+      + `${shown.join('\n')}\nResolve them before committing.`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Pre-push audit — the commits `git push` is about to publish.
+//
+// The commit-boundary audit sees one working tree at a time; a push after
+// several commits publishes all of them unaudited as a whole. isPushCommand
+// reads the remote and refspecs off the command line, resolvePushRange asks
+// git what they mean (tracking ref of the destination, else @{push} /
+// @{upstream}, else the fork point from the remote's default branch), and
+// attributeFindings tags each finding of the range digest with the commit
+// that introduced it. Every git call is capped by the hook deadline; any
+// unresolvable piece means no audit, never a blocked push.
+// ---------------------------------------------------------------------------
+
+const PUSH_VALUE_FLAGS = new Set(['--repo', '--receive-pack', '--exec', '-o', '--push-option']);
+// Pushes of every branch (or every ref) have no single range to audit.
+const PUSH_EVERY_REF_FLAGS = new Set(['--all', '--branches', '--mirror']);
+// Global flags that point git at another repository than the hook's cwd.
+const GIT_ELSEWHERE_FLAG = /^(-C|--git-dir|--work-tree)(=|$)/;
+const GIT_TIMEOUT_MS = 3000;
+const PUSH_AUDIT_MAX_COMMITS = 200;
+// `git blame` forks once per file named with a line; beyond this many files,
+// findings get file-level attribution.
+const PUSH_AUDIT_MAX_BLAMES = 20;
+
+/**
+ * Is this Bash command a `git push` (same command-position rules as
+ * `isCommitCommand`)? Returns `{ remote, refspecs }` — `remote` null when
+ * the command names none — or null. A push that only deletes (`--delete`,
+ * `:branch`) publishes nothing and is not one. Nor, for the audit, is a
+ * push of every branch (`--all`, `--mirror`), of only tags (`--tags` with
+ * no refspec), or one run in another repository (`git -C dir`,
+ * `--git-dir`): none of them is the cwd's upstream..HEAD.
+ */
+function isPushCommand(command) {
+  for (const { subcommand, args, globals } of gitInvocations(command)) {
+    if (subcommand !== 'push') continue;
+    if (globals.some((flag) => GIT_ELSEWHERE_FLAG.test(flag))) continue;
+    const positional = [];
+    let deletes = false;
+    let everyRef = false;
+    let tags = false;
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === '--') {
+        positional.push(...args.slice(i + 1));
+        break;
+      }
+      if (!arg.startsWith('-')) {
+        positional.push(arg);
+        continue;
+      }
+      if (arg === '-d' || arg === '--delete') deletes = true;
+      if (PUSH_EVERY_REF_FLAGS.has(arg)) everyRef = true;
+      if (arg === '--tags') tags = true;
+      if (PUSH_VALUE_FLAGS.has(arg)) i++;
+    }
+    if (deletes || everyRef) continue;
+    const [remote = null, ...refspecs] = positional;
+    const publishing = refspecs.filter((spec) => !spec.startsWith(':'));
+    if (refspecs.length && !publishing.length) continue;
+    if (tags && !publishing.length) continue;
+    return { remote, refspecs: publishing };
+  }
+  return null;
+}
+
+/**
+ * `git <args>` in `cwd`: trimmed stdout, or null on any failure. Bounded by
+ * GIT_TIMEOUT_MS and the hook deadline.
+ */
+function runGit(args, cwd) {
+  const timeout = Math.floor(Math.min(GIT_TIMEOUT_MS, deadlineRemainingMs()));
+  if (timeout <= 0) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    execFile('git', args, { cwd, encoding: 'utf-8', timeout, maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+      resolve(error ? null : stdout.trim());
+    });
+  });
+}
+
+function gitCommit(ref, cwd) {
+  return runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+}
+
+/**
+ * What `push` would publish from `cwd`: `{ base, head, toplevel, commits }`
+ * with `commits` newest first, each `{ sha, subject, files }` (paths
+ * relative to `toplevel`). Null when the range cannot be resolved or is
+ * empty. Only the first publishing refspec is audited.
+ */
+async function resolvePushRange(cwd, push) {
+  const toplevel = await runGit(['rev-parse', '--show-toplevel'], cwd);
+  if (!toplevel) return null;
+  const spec = (push.refspecs[0] || '').replace(/^\+/, '');
+  const [src = '', dst = ''] = spec.split(':');
+  const head = await gitCommit(src || 'HEAD', toplevel);
+  if (!head) return null;
+
+  const branch = (dst || src).replace(/^refs\/heads\//, '');
+  const candidates = [];
+  if (push.remote && branch && branch !== 'HEAD') candidates.push(`refs/remotes/${push.remote}/${branch}`);
+  if (!src || src === 'HEAD') candidates.push('@{push}', '@{upstream}');
+  let base = null;
+  for (const ref of candidates) {
+    base = await gitCommit(ref, toplevel);
+    if (base) break;
+  }
+  if (!base) {
+    // A branch new to the remote: audit from where it forked off the
+    // remote's default branch.
+    base = await runGit(['merge-base', head, `refs/remotes/${push.remote || 'origin'}/HEAD`], toplevel);
+  }
+  if (!base || base === head) return null;
+
+  const log = await runGit([
+    'log', `--max-count=${PUSH_AUDIT_MAX_COMMITS}`, '--format=%x00%H%x09%s', '--name-only', `${base}..${head}`,
+  ], toplevel);
+  if (!log) return null;
+  const commits = log.split('\0').filter(Boolean).map((chunk) => {
+    const [header, ...files] = chunk.split('\n');
+    const tab = header.indexOf('\t');
+    return {
+      sha: header.slice(0, tab),
+      subject: header.slice(tab + 1),
+      files: files.map((f) => f.trim()).filter(Boolean),
+    };
+  });
+  return commits.length ? { base, head, toplevel, commits } : null;
+}
+
+// A `path/file.ext:line` (line optional) in a finding.
+const FINDING_LOCATION = /((?:\.{0,2}\/)?[\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z0-9]+)(?::(\d+))?/;
+
+/**
+ * Tag each finding line of a range digest with the commit in `range` that
+ * introduced it: `git blame` of the named line at the range head when the
+ * finding has one, otherwise the newest commit in the range that touched
+ * the file. Lines naming nothing the range touched are left as they are.
+ * One blame per file covers all its named lines, and the blames run one
+ * after another: they share the hook's deadline.
+ */
+async function attributeFindings(digest, range) {
+  const inRange = new Map(range.commits.map((commit) => [commit.sha, commit]));
+  const lastTouched = new Map();
+  for (const commit of range.commits) {
+    for (const file of commit.files) if (!lastTouched.has(file)) lastTouched.set(file, commit);
+  }
+  const findings = digest.split('\n').map((line) => {
+    const match = line.match(FINDING_LOCATION);
+    if (!match) return { line };
+    let file = match[1].replace(/^\.\//, '');
+    if (path.isAbsolute(file)) file = path.relative(range.toplevel, file);
+    return { line, file, lineNo: match[2] ? Number(match[2]) : null };
+  });
+  const blamed = new Map(); // file -> Map(line -> sha)
+  for (const { file, lineNo } of findings) {
+    if (!lineNo) continue;
+    if (!blamed.has(file)) {
+      if (blamed.size >= PUSH_AUDIT_MAX_BLAMES) continue;
+      blamed.set(file, new Set());
+    }
+    blamed.get(file).add(lineNo);
+  }
+  for (const [file, lineNos] of blamed) {
+    const ranges = [...lineNos].flatMap((n) => ['-L', `${n},${n}`]);
+    const blame = await runGit(['blame', '--porcelain', ...ranges, range.head, '--', file], range.toplevel);
+    const shas = new Map();
+    for (const header of (blame || '').matchAll(/^([0-9a-f]{40}) \d+ (\d+)/gm)) {
+      shas.set(Number(header[2]), header[1]);
+    }
+    blamed.set(file, shas);
+  }
+  return findings.map(({ line, file, lineNo }) => {
+    if (!file) return line;
+    const sha = lineNo && blamed.has(file) ? blamed.get(file).get(lineNo) : null;
+    let commit = sha ? inRange.get(sha) || null : null;
+    let how = 'introduced in';
+    if (!commit && lastTouched.has(file)) {
+      commit = lastTouched.get(file);
+      how = 'file last changed in';
+    }
+    return commit ? `${line} (${how} ${commit.sha.slice(0, 7)} "${commit.subject}")` : line;
+  }).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Change summary — what a commit or a pull request changes, structurally.
+//
+// The agent writes the commit message or PR description from the textual
+// diff; this gives it the structure beside the findings-only audit:
+// definitions added, removed and re-signed (extractDefinitions over each
+// changed source file's blob before and after), the entry-point workflows
+// those definitions run in (one `noodl search` over their names), and the
+// modules touched. A commit is summarized over the staged changes — or
+// the tracked working tree when the command stages on its way (`-a`, a
+// `git add` before the commit); `gh pr create` over the branch since it
+// forked off the base.
+// ---------------------------------------------------------------------------
+
+const SUMMARY_SOURCE_FILE = /\.(?:[cm]?[jt]sx?|py|rs|go|java|kt|rb|cs|swift|php|c|cc|cpp|h|hpp)$/;
+const SUMMARY_MAX_FILES = 40;
+const SUMMARY_MAX_SYMBOLS = 12;
+const SUMMARY_MAX_WORKFLOWS = 6;
+const SUMMARY_MAX_MODULES = 8;
+const GH_PR_VALUE_FLAGS = new Set([
+  '-B', '--base', '-H', '--head', '-t', '--title', '-b', '--body', '-F', '--body-file',
+  '-R', '--repo', '-a', '--assignee', '-l', '--label', '-m', '--milestone',
+  '-p', '--project', '-r', '--reviewer', '-T', '--template',
+]);
+
+/**
+ * What a `git commit` in this command commits: 'worktree' when it stages
+ * on the way (`-a`/`--all`, or a `git add` earlier in the command — the
+ * index the hook sees is not yet the one committed), else 'staged'.
+ * Null when the command is no commit.
+ */
+function commitSummaryScope(command) {
+  const invocations = gitInvocations(command);
+  const at = invocations.findIndex((git) => git.subcommand === 'commit');
+  if (at < 0) return null;
+  const all = invocations[at].args.some((arg) => arg === '--all' || /^-[A-Za-z]*a[A-Za-z]*$/.test(arg));
+  const adds = invocations.slice(0, at).some((git) => git.subcommand === 'add');
+  return all || adds ? 'worktree' : 'staged';
+}
+
+/**
+ * Is this Bash command a `gh pr create`? Returns `{ base }` — the `--base`
+ * branch, null when the command names none — or null.
+ */
+function isPrCreateCommand(command) {
+  for (const words of commandSegments(command)) {
+    if (path.basename(words[0]) !== 'gh' || words[1] !== 'pr' || words[2] !== 'create') continue;
+    let base = null;
+    for (let i = 3; i < words.length; i++) {
+      const word = words[i];
+      if (word === '-B' || word === '--base') base = words[i + 1] || null;
+      else if (word.startsWith('--base=')) base = word.slice('--base='.length);
+      if (GH_PR_VALUE_FLAGS.has(word)) i++;
+    }
+    return { base };
+  }
+  return null;
+}
+
+/**
+ * The branch a `gh pr create` proposes: `{ base, head, toplevel }`, `base`
+ * the fork point from the PR's base branch (the remote's default branch
+ * when the command names none). Null when git cannot say or the branch
+ * adds nothing.
+ */
+async function resolvePrRange(cwd, pr) {
+  const toplevel = await runGit(['rev-parse', '--show-toplevel'], cwd);
+  if (!toplevel) return null;
+  const head = await gitCommit('HEAD', toplevel);
+  if (!head) return null;
+  const candidates = pr.base
+    ? [`refs/remotes/origin/${pr.base}`, pr.base]
+    : ['refs/remotes/origin/HEAD'];
+  for (const ref of candidates) {
+    const tip = await gitCommit(ref, toplevel);
+    if (!tip) continue;
+    const base = await runGit(['merge-base', head, tip], toplevel);
+    return base && base !== head ? { base, head, toplevel } : null;
+  }
+  return null;
+}
+
+/**
+ * Definitions changed between `from` (a commit) and `to` — a commit,
+ * 'staged' (the index) or 'worktree' (files on disk) — in the source files
+ * git reports changed in `cwd`'s repository: `{ files, added, removed,
+ * changed }`, each symbol `{ file, name, display }` (`changed`: `{ file,
+ * name, before, after }`). Null when git cannot say.
+ */
+async function structuralChanges(cwd, from, to) {
+  const toplevel = await runGit(['rev-parse', '--show-toplevel'], cwd);
+  if (!toplevel) return null;
+  const diffArgs = ['diff', '--name-status', '-M', '--no-color', '--no-ext-diff'];
+  if (to === 'staged') diffArgs.push('--cached', from);
+  else if (to === 'worktree') diffArgs.push(from);
+  else diffArgs.push(from, to);
+  const status = await runGit(diffArgs, toplevel);
+  if (status === null) return null;
+  const entries = status.split('\n').filter(Boolean).map((line) => {
+    const [code, ...paths] = line.split('\t');
+    return { code: code[0], before: paths[0], after: paths[paths.length - 1] };
+  });
+  const blob = (ref, file) => {
+    if (ref === 'worktree') return Promise.resolve(readFileText(path.join(toplevel, file)));
+    return runGit(['show', `${ref === 'staged' ? '' : ref}:${file}`], toplevel);
+  };
+  const source = entries.filter((entry) => SUMMARY_SOURCE_FILE.test(entry.after)).slice(0, SUMMARY_MAX_FILES);
+  const texts = await Promise.all(source.map((entry) => Promise.all([
+    entry.code === 'A' ? '' : blob(from, entry.before),
+    entry.code === 'D' ? '' : blob(to, entry.after),
+  ])));
+  const result = { files: entries.map((entry) => entry.after), added: [], removed: [], changed: [] };
+  source.forEach((entry, i) => {
+    const before = extractDefinitions(texts[i][0] || '');
+    const after = extractDefinitions(texts[i][1] || '');
+    for (const [name, def] of after) {
+      const old = before.get(name);
+      if (!old) result.added.push({ file: entry.after, name, display: def.display });
+      else if (old.params !== def.params || old.returns !== def.returns) {
+        result.changed.push({ file: entry.after, name, before: old.display, after: def.display });
+      }
+    }
+    for (const [name, def] of before) {
+      if (!after.has(name)) result.removed.push({ file: entry.before, name, display: def.display });
+    }
+  });
+  return result;
 }
 
 /**
- * List available repositories.
+ * Entry points of the workflows in a `noodl search` answer that run
+ * through any of `names` (the entry point itself included), at most
+ * SUMMARY_MAX_WORKFLOWS.
  */
-function listRepositories(timeout = 10000) {
+function affectedEntryPoints(resultText, names) {
+  let data;
   try {
-    const result = execFileSync(
-      NOODL_PATH,
-      ['list'],
-      { encoding: 'utf-8', timeout, stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-    return result.trim() || null;
+    data = JSON.parse(resultText);
   } catch {
-    return null;
+    return [];
+  }
+  if (data && data.result) data = data.result;
+  const wanted = new Set(names);
+  const byWorkflow = new Map();
+  for (const sym of (data && Array.isArray(data.workflow_symbols) ? data.workflow_symbols : [])) {
+    const id = sym.metadata?.workflow_id || sym.workflow_id;
+    if (!id || typeof sym.name !== 'string') continue;
+    if (!byWorkflow.has(id)) byWorkflow.set(id, []);
+    byWorkflow.get(id).push(sym);
+  }
+  const entries = new Set();
+  for (const symbols of byWorkflow.values()) {
+    const ordered = [...symbols].sort((a, b) => (a.step_index ?? 0) - (b.step_index ?? 0));
+    if (ordered.some((sym) => wanted.has(sym.name.split(/::|\./).pop()))) entries.add(ordered[0].name);
+    if (entries.size >= SUMMARY_MAX_WORKFLOWS) break;
+  }
+  return [...entries];
+}
+
+function summaryList(items, render) {
+  const shown = items.slice(0, SUMMARY_MAX_SYMBOLS).map(render);
+  return items.length > shown.length ? `${shown.join(', ')}, … ${items.length - shown.length} more` : shown.join(', ');
+}
+
+/**
+ * The change summary for `changes` (structuralChanges) and the entry
+ * points it reaches, under `label` — or null when no definition changed.
+ */
+function formatChangeSummary(label, changes, entryPoints) {
+  const { files, added, removed, changed } = changes;
+  if (!added.length && !removed.length && !changed.length) return null;
+  const lines = [`Noodlbox change summary (${label}, ${files.length} file${files.length === 1 ? '' : 's'}):`];
+  if (added.length) lines.push(`Added: ${summaryList(added, (s) => `${s.display} (${s.file})`)}`);
+  if (removed.length) lines.push(`Removed: ${summaryList(removed, (s) => `${s.name} (${s.file})`)}`);
+  if (changed.length) lines.push(`Signature changed: ${summaryList(changed, (s) => `${s.before} → ${s.after} (${s.file})`)}`);
+  if (entryPoints.length) lines.push(`Workflows affected: ${entryPoints.join(', ')}`);
+  const modules = new Map();
+  for (const file of files) {
+    const dir = path.posix.dirname(file);
+    modules.set(dir, (modules.get(dir) || 0) + 1);
+  }
+  const ranked = [...modules].sort((a, b) => b[1] - a[1]).slice(0, SUMMARY_MAX_MODULES);
+  lines.push(`Modules: ${ranked.map(([dir, count]) => `${dir === '.' ? '(root)' : dir} (${count})`).join(', ')}`
+    + (modules.size > ranked.length ? ', …' : ''));
+  return lines.join('\n');
+}
+
+// Mid-edit nudge cost gate (P3): a verify run costs seconds, so it must
+// not ride EVERY Edit/Write. This throttles the RUN (wall-clock cost),
+// not the content — per-finding repeat suppression is the CLI's job
+// (session-seen + open-ledger, P1), so an unchanged report past the gate
+// still injects nothing. 60s keeps the nudge within one edit burst of
+// the obligation that created it.
+const MID_EDIT_MIN_INTERVAL_MS = 60000;
+
+function midEditStatePath(sessionId) {
+  const safe = String(sessionId).replace(/[^A-Za-z0-9-]/g, '_');
+  return path.join(os.tmpdir(), `noodlbox-midedit-last-${safe}.json`);
+}
+
+// Session-state GC window (hours) — mirrors the CLI's session-seen sweep
+// (COHERENCE_SESSION_SEEN_GC_HOURS = 48) so the two per-session tmp-file
+// mechanisms age out together.
+const MID_EDIT_STATE_GC_HOURS = 48;
+
+/**
+ * One gate call per PreToolUse(Edit|Write): true when the interval has
+ * passed. Marks NOW on pass as a BEST-EFFORT mitigation against stacked
+ * runs — the read-then-write is not atomic, so two truly concurrent
+ * hooks can both pass; that is acceptable for a cost gate (verify is
+ * fail-open and content dedup is the CLI's per-finding suppression). No
+ * session id ⇒ never nudge — without a session the CLI cannot suppress
+ * repeats per session, and an unthrottleable channel would re-nag.
+ * `intervalMs` is the policy's `mid_edit_min_interval_ms`.
+ */
+function midEditDue(sessionId, intervalMs = MID_EDIT_MIN_INTERVAL_MS) {
+  if (!sessionId) return false;
+  const { due, firstWrite } = windowGateDue(
+    midEditStatePath(sessionId),
+    intervalMs
+  );
+  if (due && firstWrite) {
+    gcSessionState(Date.now());
+  }
+  return due;
+}
+
+// Post-commit re-analyze debounce (E3 ship requirement 2). One spawn per
+// repo per window: rapid commit sequences (rebase scripts, fixup chains)
+// must not stack analyze processes — the per-box flock serializes them
+// anyway, so extras would only queue and burn CPU.
+const POST_COMMIT_ANALYZE_DEBOUNCE_MS = 120000;
+
+/**
+ * Generic tmp-file window gate shared by the per-session mid-edit
+ * throttle and the per-repo post-commit debounce: read `{last}`, deny
+ * inside the window, claim NOW otherwise. BEST-EFFORT by contract — the
+ * read-then-write is not atomic, so two truly concurrent callers can
+ * both pass; acceptable for cost gates (verify is fail-open, analyze is
+ * flock-serialized). Missing/corrupt state fails open (= due). Returns
+ * `{ due, firstWrite }` so callers can hang one-time side effects (the
+ * mid-edit GC) off the first claim.
+ */
+function windowGateDue(statePath, windowMs) {
+  const now = Date.now();
+  let firstWrite = false;
+  try {
+    const last = JSON.parse(fs.readFileSync(statePath, 'utf-8')).last;
+    if (typeof last === 'number' && now - last < windowMs) {
+      return { due: false, firstWrite: false };
+    }
+  } catch {
+    // Missing/corrupt state = due (first claim of the window).
+    firstWrite = true;
+  }
+  try {
+    fs.writeFileSync(statePath, JSON.stringify({ last: now }));
+  } catch (e) {
+    debug('window gate state write failed:', e.message);
+  }
+  return { due: true, firstWrite };
+}
+
+function postCommitStatePath(cwd) {
+  const key = crypto.createHash('sha256').update(String(cwd)).digest('hex').slice(0, 16);
+  return path.join(os.tmpdir(), `noodlbox-postcommit-${key}.json`);
+}
+
+/**
+ * True when a post-commit analyze may spawn for this repo — the shared
+ * window gate keyed by repo path, windowed by the policy's
+ * `post_commit_analyze_debounce_ms`.
+ */
+function postCommitAnalyzeDue(cwd) {
+  if (!cwd) return false;
+  const { limits } = loadHookPolicy(cwd);
+  return windowGateDue(postCommitStatePath(cwd), limits.post_commit_analyze_debounce_ms).due;
+}
+
+/**
+ * Fire-and-forget `noodl analyze` after a commit moved HEAD (E3 ship
+ * requirement 2 — the daemonless watcher emulation). Without this the
+ * committed baseline goes stale on the first agent commit and every
+ * later verify digest is the stale banner, exactly the defect that
+ * voided the first loop-probe fleet. Detached + unref'd: the hook
+ * returns immediately; analyze runs under the per-box flock. The
+ * analyze runs inside noodl-analyze.js, which records its progress in the
+ * box's analyze-status file (see "Background analyze status" below) —
+ * the one channel back from a process nobody waits on.
+ * Resolves the binary via NOODL_PATH like every other invocation in
+ * this file — a hardcoded name would silently no-op under
+ * NOODLBOX_CLI_PATH, re-introducing the stale-baseline defect exactly
+ * where the override matters. With `boxId` it also stamps the box's
+ * analyze epoch, expiring every cached def/search answer for the box.
+ */
+function spawnPostCommitAnalyze(cwd, boxId) {
+  const key = boxId || boxKey(cwd);
+  const runId = beginAnalyzeStatus(key, cwd);
+  try {
+    const child = spawn(process.execPath, [ANALYZE_SCRIPT, analyzeStatusPath(key), runId, cwd], {
+      cwd,
+      detached: true,
+      stdio: 'ignore',
+      env: { ...process.env, NOODLBOX_CLI_PATH: NOODL_PATH },
+    });
+    child.on('error', (e) => debug('post-commit analyze spawn failed:', e.message));
+    child.unref();
+    if (boxId) markAnalyzeEpoch(boxId);
+    return true;
+  } catch (e) {
+    debug('post-commit analyze spawn failed:', e.message);
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Background analyze status — `noodlbox-box-{id}-analyze-status.json`.
+//
+// While a post-commit analyze runs, `noodl def` / `search` / `verify` still
+// answer from the graph of the commit analyzed before it. The status record
+// ({ state: running | finished | failed, startedAt, finishedAt, target,
+// baseline, pid, reason }) lets the hooks say so: digests carry a one-line
+// "index refreshing" note naming the commit the answers reflect, and a
+// failed analyze is reported to the user once. A 'running' record whose
+// process is gone (or that outlived ANALYZE_MAX_RUNNING_MS) is treated as
+// over with an unknown outcome — never as a failure, never as refreshing.
+// ---------------------------------------------------------------------------
+
+const ANALYZE_SCRIPT = path.join(__dirname, 'noodl-analyze.js');
+const ANALYZE_MAX_RUNNING_MS = 30 * 60 * 1000;
+
+function analyzeStatusPath(boxKeyOrId) {
+  return boxStatePath(boxKeyOrId, 'analyze-status');
+}
+
+function readRawAnalyzeStatus(boxKeyOrId) {
+  try {
+    const status = JSON.parse(fs.readFileSync(analyzeStatusPath(boxKeyOrId), 'utf-8'));
+    return status && typeof status === 'object' ? status : null;
+  } catch {
+    return null;
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * The box's analyze status, or null when no analyze was ever spawned for
+ * it. A dead or overdue 'running' record comes back as state 'abandoned'.
+ */
+function readAnalyzeStatus(boxKeyOrId) {
+  const status = readRawAnalyzeStatus(boxKeyOrId);
+  if (!status || status.state !== 'running') return status;
+  const overdue = Date.now() - (status.startedAt || 0) > ANALYZE_MAX_RUNNING_MS;
+  if (overdue || (status.pid && !processAlive(status.pid))) {
+    return { ...status, state: 'abandoned' };
+  }
+  return status;
+}
+
+/**
+ * Write the 'running' record for a new analyze of `cwd`'s HEAD and return
+ * its run id. `baseline` is the commit the graph reflects meanwhile: the
+ * previous run's target if it finished, otherwise whatever that run
+ * itself was still answering from.
+ */
+function beginAnalyzeStatus(boxKeyOrId, cwd) {
+  const previous = readRawAnalyzeStatus(boxKeyOrId);
+  const startedAt = Date.now();
+  const runId = `${startedAt}-${process.pid}`;
+  const status = {
+    runId,
+    state: 'running',
+    startedAt,
+    finishedAt: null,
+    target: readGitHead(cwd),
+    baseline: previous
+      ? (previous.state === 'finished' ? previous.target : previous.baseline) || null
+      : null,
+    pid: null,
+    reason: null,
+    reported: false,
+  };
+  try {
+    fs.writeFileSync(analyzeStatusPath(boxKeyOrId), JSON.stringify(status));
+  } catch (e) {
+    debug('analyze status write failed:', e.message);
+  }
+  return runId;
+}
+
+function shortSha(sha) {
+  return typeof sha === 'string' ? sha.slice(0, 7) : null;
+}
+
+/**
+ * One line for a PreToolUse digest while the box's analyze runs, or null.
+ */
+function analyzeRefreshNote(boxKeyOrId) {
+  const status = readAnalyzeStatus(boxKeyOrId);
+  if (!status || status.state !== 'running') return null;
+  const reflects = status.baseline
+    ? shortSha(status.baseline)
+    : status.target ? `the analysis before ${shortSha(status.target)}` : 'the previous analysis';
+  return `Noodlbox index refreshing — results reflect ${reflects}.`;
+}
+
+/**
+ * The one-time user notice for a failed analyze, or null. Marks it
+ * delivered, so the caller must emit what it gets.
+ */
+function takeAnalyzeFailureNotice(boxKeyOrId) {
+  const status = readRawAnalyzeStatus(boxKeyOrId);
+  if (!status || status.state !== 'failed' || status.reported) return null;
+  try {
+    fs.writeFileSync(analyzeStatusPath(boxKeyOrId), JSON.stringify({ ...status, reported: true }));
+  } catch (e) {
+    debug('analyze status write failed:', e.message);
+    return null; // could not mark it: better silent than repeated every call
+  }
+  const target = shortSha(status.target);
+  const reflects = shortSha(status.baseline);
+  return `background re-analyze${target ? ` of ${target}` : ''} failed`
+    + `${status.reason ? ` (${status.reason})` : ''}.`
+    + ` Graph answers still reflect ${reflects || 'the previous analysis'}; run \`noodl analyze\` to retry.`;
+}
+
+// ---------------------------------------------------------------------------
+// Analyzed baseline — which commit the box's graph describes.
+//
+// getIndexedRepoInfo only knows that a graph exists. After a branch switch
+// (`git checkout feature-x`, or one made outside the session) every def and
+// search answer describes another tree, without a word. analyzedCommit
+// names the commit the graph was built at: the target of the last analyze
+// the hooks ran, or — for an analyze they did not run, newer than theirs —
+// the commit HEAD pointed at when the box's db last changed, read from
+// HEAD's reflog (once per db change, remembered per box). baselineStaleness
+// compares it with HEAD (one `git rev-list` per new pair, remembered per
+// box) for the badge def and search digests carry.
+// ---------------------------------------------------------------------------
+
+// Commits of divergence (either way) at which a stale graph is worth a
+// re-analyze rather than a badge alone.
+const STALE_REANALYZE_COMMITS = 20;
+
+// An analyze the hooks ran finishes after its last db write; allow for the
+// gap before deciding the db was rebuilt by someone else.
+const BASELINE_DB_SLACK_MS = 5000;
+
+/**
+ * Newest mtime of the box's db directory and its entries, or 0.
+ */
+function boxDbStamp(boxId) {
+  const dbPath = path.join(os.homedir(), '.noodlbox', 'boxes', boxId, 'db');
+  let stamp = 0;
+  try {
+    stamp = fs.statSync(dbPath).mtimeMs;
+    for (const name of fs.readdirSync(dbPath)) {
+      try {
+        stamp = Math.max(stamp, fs.statSync(path.join(dbPath, name)).mtimeMs);
+      } catch {
+        // Raced away.
+      }
+    }
+  } catch {
+    return 0;
+  }
+  return stamp;
+}
+
+/**
+ * The commit HEAD pointed at `atMs`, from `dir`'s HEAD reflog — or null
+ * when the reflog does not reach back that far.
+ */
+function headAt(dir, atMs) {
+  const dirs = findGitDirs(dir);
+  if (!dirs) return null;
+  let log;
+  try {
+    log = fs.readFileSync(path.join(dirs.gitDir, 'logs', 'HEAD'), 'utf-8');
+  } catch {
+    return null;
+  }
+  let sha = null;
+  for (const line of log.split('\n')) {
+    // <old> <new> <name> <email> <seconds> <tz>\t<message>
+    const entry = line.match(/^[0-9a-f]+ ([0-9a-f]+) .*? (\d+) [+-]\d{4}\t/);
+    if (!entry) continue;
+    if (Number(entry[2]) * 1000 > atMs) break;
+    sha = entry[1];
+  }
+  return sha;
+}
+
+/**
+ * headAt the box's db stamp, remembered per box: what HEAD was at a past
+ * instant does not change as the reflog grows, so the reflog is read once
+ * per db change, not on every def and search answer.
+ */
+function reflogCommitAt(repoInfo, cwd, dbStamp) {
+  const statePath = boxStatePath(repoInfo.box_id, 'baseline-reflog');
+  try {
+    const known = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    if (known.dbStamp === dbStamp) return known.commit;
+  } catch {
+    // Not read yet.
+  }
+  const commit = headAt(repoInfo.box_root || cwd, dbStamp);
+  try {
+    fs.writeFileSync(statePath, JSON.stringify({ dbStamp, commit }));
+  } catch (e) {
+    debug('baseline state write failed:', e.message);
+  }
+  return commit;
+}
+
+/**
+ * The commit the box's graph was built at, or null when it cannot be told.
+ */
+function analyzedCommit(repoInfo, cwd) {
+  const status = readAnalyzeStatus(repoInfo.box_id);
+  const dbStamp = boxDbStamp(repoInfo.box_id);
+  if (status && status.state === 'finished' && status.target
+    && (status.finishedAt || 0) + BASELINE_DB_SLACK_MS >= dbStamp) {
+    return status.target;
+  }
+  const fromReflog = dbStamp ? reflogCommitAt(repoInfo, cwd, dbStamp) : null;
+  if (fromReflog) return fromReflog;
+  return status ? (status.state === 'finished' ? status.target : status.baseline) || null : null;
+}
+
+/**
+ * How far HEAD is from the analyzed commit: `{ analyzed, head, ahead,
+ * behind }` (counts null when git cannot relate the two — a commit since
+ * garbage-collected), or null when HEAD is the analyzed commit or either is
+ * unknown.
+ */
+async function baselineStaleness(repoInfo, cwd) {
+  const root = repoInfo.box_root || cwd;
+  const head = readGitHead(root);
+  const analyzed = analyzedCommit(repoInfo, cwd);
+  if (!head || !analyzed || head === analyzed) return null;
+  const statePath = boxStatePath(repoInfo.box_id, 'baseline');
+  try {
+    const known = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    if (known.head === head && known.analyzed === analyzed) return known;
+  } catch {
+    // Not measured yet.
+  }
+  const counts = await runGit(['rev-list', '--left-right', '--count', `${analyzed}...${head}`], root);
+  if (counts === null) return { analyzed, head, ahead: null, behind: null };
+  const [behind, ahead] = counts.split(/\s+/).map(Number);
+  const staleness = { analyzed, head, ahead, behind };
+  try {
+    fs.writeFileSync(statePath, JSON.stringify(staleness));
+  } catch (e) {
+    debug('baseline state write failed:', e.message);
+  }
+  return staleness;
+}
+
+/**
+ * Commits between HEAD and the analyzed commit, either way — Infinity when
+ * git could not count them.
+ */
+function stalenessDistance(staleness) {
+  return staleness.ahead === null ? Infinity : staleness.ahead + staleness.behind;
+}
+
+/**
+ * The badge line for a stale graph.
+ */
+function stalenessBadge(staleness) {
+  const analyzed = shortSha(staleness.analyzed);
+  const head = shortSha(staleness.head);
+  if (staleness.ahead === null) {
+    return `Noodlbox index is stale — built at ${analyzed}, which HEAD ${head} does not share history with.`;
+  }
+  const parts = [];
+  if (staleness.ahead) parts.push(`${staleness.ahead} commit${staleness.ahead === 1 ? '' : 's'} ahead`);
+  if (staleness.behind) parts.push(`${staleness.behind} behind`);
+  return `Noodlbox index is stale — built at ${analyzed}; HEAD ${head} is ${parts.join(', ')}.`;
+}
+
+// Per-session tmp files swept by gcSessionState.
+const SESSION_STATE_PREFIXES = [
+  'noodlbox-midedit-last-', 'noodlbox-results-', 'noodlbox-delivered-', 'noodlbox-workingset-',
+  'noodlbox-stop-',
+];
+
+/**
+ * Best-effort sweep of expired per-session state files (mid-edit gate,
+ * result cache, delivery ledger) — runs once per session (its first write), mirroring the
+ * CLI's session-seen GC so no per-session tmp mechanism accumulates
+ * unbounded.
+ */
+function gcSessionState(now) {
+  const cutoff = now - MID_EDIT_STATE_GC_HOURS * 3600 * 1000;
+  try {
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (!SESSION_STATE_PREFIXES.some((prefix) => name.startsWith(prefix))) continue;
+      const full = path.join(os.tmpdir(), name);
+      try {
+        if (fs.statSync(full).mtimeMs < cutoff) {
+          fs.unlinkSync(full);
+        }
+      } catch {
+        // Raced away or unreadable — best-effort.
+      }
+    }
+  } catch (e) {
+    debug('session state GC failed:', e.message);
+  }
+}
+
+/**
+ * Run noodlbox semantic search.
+ *
+ * Resolves: { success: true, result, data, elapsed } or
+ * { success: false, notIndexed, timedOut }. Absolute paths in `result` are
+ * shortened to `./` (cwd-relative) for the agent.
+ */
+async function runNoodlSearch(query, cwd) {
+  const { limits } = loadHookPolicy(cwd);
+  const outcome = await callNoodl('search', cwd, () => client.search(query, cwd, {
+    limit: limits.search_limit,
+    intent: limits.search_intent,
+    timeoutMs: limits.search_timeout_ms,
+    deadline: hookDeadline,
+  }));
+  if (!outcome.success) return outcome;
+
+  // Shorten absolute paths to relative (handle both original and resolved paths)
+  const resolvedCwd = client.resolveCwd(cwd);
+  const resolvedCwdWithSlash = resolvedCwd.endsWith('/') ? resolvedCwd : resolvedCwd + '/';
+  const cwdWithSlash = cwd.endsWith('/') ? cwd : cwd + '/';
+  const result = outcome.result.replaceAll(resolvedCwdWithSlash, './').replaceAll(cwdWithSlash, './');
+  debug('Search succeeded:', { resultLength: result.length, elapsedMs: outcome.elapsed });
+  return { ...outcome, result };
+}
+
+/**
+ * Symbol context for a bare identifier — where it is defined, who calls it,
+ * what it calls. The route for "the agent already knows the symbol name": `rg`
+ * answers where the TEXT occurs; the graph answers where the DEFINITION is and
+ * what surrounds it.
+ */
+async function runNoodlDef(symbol, cwd) {
+  const { limits } = loadHookPolicy(cwd);
+  const outcome = await callNoodl('def', cwd, () => client.def(symbol, cwd, {
+    timeoutMs: limits.search_timeout_ms,
+    deadline: hookDeadline,
+  }));
+  if (outcome.success) {
+    debug('Def succeeded:', { resultLength: outcome.result.length, elapsedMs: outcome.elapsed });
+  }
+  return outcome;
+}
+
+// The agent-facing `def` digest renders every non-empty edge category, largest
+// first, from this label table — not an allowlist. `LanceStorage` has zero
+// `calls` and many `uses`; an allowlist of "interesting" categories would
+// render nothing at all for it.
+const DEF_EDGE_LABELS = {
+  incoming: {
+    calls: 'callers', uses: 'used by', imports: 'imported by',
+    implements: 'implementors', extends: 'subclasses', contains: 'contained by',
+    external_calls: 'external callers', external_imports: 'external importers',
+    external_extends: 'external subclasses', external_implements: 'external implementors',
+  },
+  outgoing: {
+    calls: 'calls', uses: 'uses', imports: 'imports',
+    implements: 'implements', extends: 'extends', contains: 'contains',
+    external_calls: 'calls (external)', external_imports: 'imports (external)',
+    external_extends: 'extends (external)', external_implements: 'implements (external)',
+  },
+};
+
+const DEF_MAX_EDGES_PER_CATEGORY = 8;
+
+/**
+ * Render a `noodl def` result as the agent digest: the definition site, the
+ * first signature line, and the call surface. An ambiguous lookup lists its
+ * candidates so the agent can disambiguate. Returns null when there is nothing
+ * to deliver — the caller's signal to inject nothing.
+ *
+ * `noodl def` interns edge file paths: an edge's `file` is an index into the
+ * top-level `files` array, not a path. `maxEdges` caps each category (the
+ * policy's `def_max_edges_per_category`).
+ */
+function formatDefContext(symbol, resultText, maxEdges = DEF_MAX_EDGES_PER_CATEGORY) {
+  let data;
+  try {
+    data = JSON.parse(resultText);
+  } catch {
+    return null;
+  }
+
+  if (data.status === 'ambiguous') {
+    const candidates = Array.isArray(data.candidates) ? data.candidates : [];
+    if (candidates.length === 0) return null;
+    const lines = candidates
+      .slice(0, maxEdges)
+      .map((c) => `${c.file_path}:${c.line} · ${c.name} · ${c.kind}`);
+    return `Noodlbox: "${symbol}" is ambiguous (${candidates.length} candidates):\n${lines.join('\n')}`;
+  }
+
+  const detail = data.symbol;
+  if (!detail || typeof detail.file_path !== 'string') return null;
+
+  const files = Array.isArray(data.files) ? data.files : [];
+  const lines = [`${detail.file_path}:${detail.start_line} · ${detail.name} · ${detail.kind}`];
+  if (detail.signature) {
+    lines.push(detail.signature.split('\n')[0].trimEnd());
+  }
+
+  const categories = [];
+  for (const direction of ['incoming', 'outgoing']) {
+    const group = data[direction];
+    if (!group || typeof group !== 'object') continue;
+    for (const [name, edges] of Object.entries(group)) {
+      if (!Array.isArray(edges) || edges.length === 0) continue;
+      const label = (DEF_EDGE_LABELS[direction] && DEF_EDGE_LABELS[direction][name])
+        || `${direction} ${name}`;
+      categories.push([label, edges]);
+    }
+  }
+  categories.sort((a, b) => b[1].length - a[1].length);
+
+  for (const [label, edges] of categories) {
+    lines.push(`${label} (${edges.length}):`);
+    for (const edge of edges.slice(0, maxEdges)) {
+      const path = typeof edge.file === 'number' ? files[edge.file] : edge.file_path;
+      const basename = (path || '?').split('/').pop() || path || '?';
+      lines.push(`  ${basename}:${edge.line} · ${edge.name}`);
+    }
+    const omitted = edges.length - maxEdges;
+    if (omitted > 0) lines.push(`  (+${omitted} more)`);
+  }
+
+  return `Noodlbox definition of "${symbol}":\n${lines.join('\n')}`;
+}
+
+/**
+ * Definition sites for the identifiers of a prompt (`found`: `[{ name,
+ * answer }]`, `answer` the def result text or null): one line each — site,
+ * kind and first signature line, or the candidates of an ambiguous name.
+ * Names the graph does not know are left out; null when none is known.
+ */
+function formatPromptDefinitions(found) {
+  const lines = [];
+  for (const { name, answer } of found) {
+    let data;
+    try {
+      data = answer ? JSON.parse(answer) : null;
+    } catch {
+      data = null;
+    }
+    if (!data) continue;
+    if (data.status === 'ambiguous') {
+      const candidates = Array.isArray(data.candidates) ? data.candidates : [];
+      if (!candidates.length) continue;
+      const shown = candidates.slice(0, 3).map((c) => `${c.file_path}:${c.line} (${c.kind})`);
+      const more = candidates.length - shown.length;
+      lines.push(`${name} — ambiguous: ${shown.join(', ')}${more > 0 ? `, +${more} more` : ''}`);
+      continue;
+    }
+    const detail = data.symbol;
+    if (!detail || typeof detail.file_path !== 'string') continue;
+    lines.push(`${name} — ${detail.file_path}:${detail.start_line} · ${detail.kind}`);
+    if (detail.signature) lines.push(`  ${detail.signature.split('\n')[0].trim()}`);
+  }
+  if (!lines.length) return null;
+  return `Noodlbox: where the graph places the identifiers in this prompt:\n${lines.join('\n')}`;
+}
+
+/**
+ * The resolved symbol of a `noodl def` result and its `direction` edges of
+ * the given `kinds` (e.g. incoming ['calls']), with interned file indexes
+ * resolved to paths: `{ symbol, edges: [{ file, line, name, kind }] }`.
+ * Null for unparseable or ambiguous results — a guard acting on edges must
+ * know which definition they belong to.
+ */
+function defEdges(resultText, direction, kinds) {
+  let data;
+  try {
+    data = JSON.parse(resultText);
+  } catch {
+    return null;
+  }
+  const symbol = data && data.symbol;
+  if (!symbol || typeof symbol.file_path !== 'string') return null;
+  const files = Array.isArray(data.files) ? data.files : [];
+  const group = (data[direction] && typeof data[direction] === 'object') ? data[direction] : {};
+  const edges = [];
+  for (const kind of kinds) {
+    if (!Array.isArray(group[kind])) continue;
+    for (const edge of group[kind]) {
+      const file = typeof edge.file === 'number' ? files[edge.file] : edge.file_path;
+      edges.push({ file: file || '?', line: edge.line, name: edge.name, kind });
+    }
+  }
+  return { symbol, edges };
+}
+
+// ---------------------------------------------------------------------------
+// Signature-change guard — Edit payloads that change a definition's shape.
+//
+// An edit that adds a parameter or changes a return type leaves every caller
+// to update, and the agent reliably misses some. The mid-edit nudge covers
+// this eventually (throttled, whole-tree verify); this guard is the targeted
+// answer at the moment of the edit: definitions are read out of
+// `old_string` / `new_string` by head shape (fn/def/func/function, arrow
+// and function-expression bindings, methods whose parameter list is followed
+// by a body), and any whose parameter list or return type differs — the
+// same name on both sides — gets its incoming `calls` edges listed from
+// `noodl def`. Whitespace and trailing commas are not changes.
+// ---------------------------------------------------------------------------
+
+const SIGNATURE_GUARD_MAX_SYMBOLS = 3;
+const SIGNATURE_GUARD_MAX_SITES = 20;
+
+const DEFINITION_HEADS = [
+  // fn (Rust), def (Python), func (Go, with an optional receiver), function (JS/TS)
+  /\b(?:function\*?|fn|def|func)\s+(?:\([^)]*\)\s*)?(?<name>[A-Za-z_$][\w$]*)\s*(?:<[^>(]*>)?\s*\(/g,
+  // const name = (...) => / const name = async function (...)
+  /\b(?:const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)\s*(?::[^=\n]+)?=\s*(?:async\s+)?(?:function\b[^(\n]*)?\(/g,
+  // methods: name(...) followed by a body (checked after the parameter list)
+  // (a leading return type, as in Java/C#, is part of the signature)
+  /^[ \t]*(?:(?:public|private|protected|internal|static|async|override|abstract|final|synchronized|virtual|export|default|get|set)\s+)*(?:(?<type>[\w<>[\],.?]+)\s+)?(?<name>[A-Za-z_$][\w$]*)\s*(?:<[^>(]*>)?\s*\(/gm,
+];
+const NOT_A_DEFINITION = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'new', 'await',
+  'typeof', 'sizeof', 'with', 'elif', 'match', 'else', 'super', 'this',
+]);
+const METHOD_BODY_START = /^\s*(?::\s*[^{;=\n]+)?\s*(?:throws\s+[\w.,\s]+)?\{/;
+
+/**
+ * Index just past the parenthesis that closes the one at `open`, or -1.
+ */
+function closingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i + 1;
+  }
+  return -1;
+}
+
+function normalizeSignaturePart(part) {
+  return part.replace(/\s+/g, '').replace(/,(?=[)\]>]|$)/g, '');
+}
+
+/**
+ * Definitions in a code fragment: Map of name → `{ index, params, returns,
+ * display }` (`index` is where the head starts, `display` the head as
+ * written, on one line).
+ */
+function extractDefinitions(text) {
+  const found = new Map();
+  if (!text || typeof text !== 'string') return found;
+  DEFINITION_HEADS.forEach((head, index) => {
+    head.lastIndex = 0;
+    let match;
+    while ((match = head.exec(text)) !== null) {
+      const { name } = match.groups;
+      if (NOT_A_DEFINITION.has(name) || found.has(name)) continue;
+      const open = match.index + match[0].length - 1;
+      const close = closingParen(text, open);
+      if (close < 0) continue;
+      const tail = text.slice(close, close + 200);
+      if (index === 2 && !METHOD_BODY_START.test(tail)) continue;
+      // Return type: `-> T` (Rust, Python), `: T` (TS), or Go's bare result
+      // list — everything up to the body, the arrow or the line end.
+      const ret = tail.match(/^[ \t]*(->|:)?[ \t]*([^{\n=]*?)[ \t]*(?:\{|=>|:[ \t]*(?:\n|$)|\bwhere\b|\n|$)/);
+      let returns = ret && ret[2] ? `${ret[1] === ':' ? ':' : ` ${ret[1] || ''}`} ${ret[2]}`.replace(/^ +/, ' ') : '';
+      const leading = match.groups.type;
+      if (leading && !returns) returns = ` -> ${leading}`;
+      const params = text.slice(open, close);
+      found.set(name, {
+        index: match.index,
+        params: normalizeSignaturePart(params),
+        returns: normalizeSignaturePart(returns),
+        display: `${name}${params.replace(/\s+/g, ' ')}${returns}`,
+      });
+    }
+  });
+  return found;
+}
+
+/**
+ * Definitions whose signature an edit changes: `[{ name, before, after }]`
+ * (display forms), at most SIGNATURE_GUARD_MAX_SYMBOLS.
+ */
+function changedSignatures(oldString, newString) {
+  const before = extractDefinitions(oldString);
+  if (!before.size) return [];
+  const after = extractDefinitions(newString);
+  const changed = [];
+  for (const [name, old] of before) {
+    const next = after.get(name);
+    if (!next || (next.params === old.params && next.returns === old.returns)) continue;
+    changed.push({ name, before: old.display, after: next.display });
+    if (changed.length >= SIGNATURE_GUARD_MAX_SYMBOLS) break;
+  }
+  return changed;
+}
+
+/**
+ * Findings-only digest for one changed signature: the call sites of the
+ * definition in `editedFile`, or null when the graph knows none (or
+ * resolves the name to a different definition).
+ */
+function formatSignatureFindings(change, resultText, editedFile) {
+  const answer = defEdges(resultText, 'incoming', ['calls', 'external_calls']);
+  if (!answer || !answer.edges.length) return null;
+  if (editedFile && !sameFile(editedFile, answer.symbol.file_path)) return null;
+  const sites = answer.edges.slice(0, SIGNATURE_GUARD_MAX_SITES).map((edge) => `  ${edge.file}:${edge.line} · ${edge.name}`);
+  const omitted = answer.edges.length - sites.length;
+  if (omitted > 0) sites.push(`  (+${omitted} more)`);
+  const count = answer.edges.length;
+  return `Noodlbox signature change: ${change.before} → ${change.after}\n`
+    + `${count} call site${count === 1 ? '' : 's'} to update:\n${sites.join('\n')}`;
+}
+
+/**
+ * List available repositories. Resolves the text, or null.
+ */
+async function listRepositories(timeout = 10000) {
+  const outcome = await client.list({ timeoutMs: timeout, deadline: hookDeadline });
+  recordNoodlCall('list', outcome.elapsed, outcome.success, outcome.timedOut);
+  return outcome.success ? outcome.result.trim() || null : null;
+}
+
+/**
+ * The database schema (`noodl schema`) — static, the same for every box.
+ * Resolves the text, or null.
+ */
+async function runNoodlSchema(timeout = 5000) {
+  const outcome = await client.schema({ timeoutMs: timeout, deadline: hookDeadline });
+  recordNoodlCall('schema', outcome.elapsed, outcome.success, outcome.timedOut);
+  return outcome.success ? outcome.result.trim() || null : null;
+}
+
+// ---------------------------------------------------------------------------
+// Session result cache — `noodl def` / `noodl search` answers.
+//
+// Agents grep the same identifier many times in one session, and every
+// repeat would fork the CLI again (up to `search_timeout_ms` each). An answer
+// is reused only while everything it was computed from still holds:
+//
+//   key        box id · HEAD · verb · term (a commit or checkout re-keys)
+//   epoch      stored after the box's last post-commit analyze spawn and end
+//   files      every working-tree file the answer names keeps its mtime/size
+//
+// One JSON file per session in tmp, like the mid-edit gate; no session id
+// means no cache (nothing to scope it to). Best-effort throughout: any
+// unreadable state is a miss, never an error.
+// ---------------------------------------------------------------------------
+
+const RESULT_CACHE_MAX_ENTRIES = 200;
+const RESULT_CACHE_MAX_FILES = 64;
+
+function resultCachePath(sessionId) {
+  const safe = String(sessionId).replace(/[^A-Za-z0-9-]/g, '_');
+  return path.join(os.tmpdir(), `noodlbox-results-${safe}.json`);
+}
+
+/**
+ * Per-box tmp state file (`noodlbox-box-{id}-{name}.json`) — state that
+ * belongs to the box rather than to one session.
+ */
+function boxStatePath(boxId, name) {
+  const safe = String(boxId).replace(/[^A-Za-z0-9-]/g, '_');
+  return path.join(os.tmpdir(), `noodlbox-box-${safe}-${name}.json`);
+}
+
+function markAnalyzeEpoch(boxId) {
+  try {
+    fs.writeFileSync(boxStatePath(boxId, 'analyze-epoch'), JSON.stringify({ at: Date.now() }));
+  } catch (e) {
+    debug('analyze epoch write failed:', e.message);
+  }
+}
+
+/**
+ * When the box's graph last changed under the cache: the later of the last
+ * analyze spawn and the last analyze end (answers stored while it ran came
+ * from the graph it replaced).
+ */
+function readAnalyzeEpoch(boxId) {
+  let epoch = 0;
+  try {
+    const at = JSON.parse(fs.readFileSync(boxStatePath(boxId, 'analyze-epoch'), 'utf-8')).at;
+    if (typeof at === 'number') epoch = at;
+  } catch {
+    // No spawn recorded.
+  }
+  const status = readRawAnalyzeStatus(boxId);
+  if (status && typeof status.finishedAt === 'number') epoch = Math.max(epoch, status.finishedAt);
+  return epoch;
+}
+
+/**
+ * The git directories of the repo containing `dir`: `{ gitDir, commonDir }`
+ * — they differ for a linked worktree, whose refs live in the common dir.
+ * Follows a `gitdir:` file (worktrees, submodules). Null outside a repo.
+ */
+function findGitDirs(dir) {
+  try {
+    let gitDir = null;
+    let cur = dir;
+    for (let depth = 0; depth < 64 && !gitDir; depth++) {
+      const candidate = path.join(cur, '.git');
+      if (fs.existsSync(candidate)) {
+        gitDir = candidate;
+        break;
+      }
+      const parent = path.dirname(cur);
+      if (parent === cur) return null;
+      cur = parent;
+    }
+    if (!gitDir) return null;
+    if (fs.statSync(gitDir).isFile()) {
+      const pointer = fs.readFileSync(gitDir, 'utf-8').match(/^gitdir:\s*(.+)$/m);
+      if (!pointer) return null;
+      gitDir = path.resolve(path.dirname(gitDir), pointer[1].trim());
+    }
+    let commonDir = gitDir;
+    try {
+      commonDir = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf-8').trim());
+    } catch {
+      // Not a linked worktree.
+    }
+    return { gitDir, commonDir };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Current HEAD commit of the repo containing `dir`, read straight from
+ * `.git` (no `git` fork): follows a symbolic ref and `packed-refs`.
+ * Returns the sha, or null.
+ */
+function readGitHead(dir) {
+  const dirs = findGitDirs(dir);
+  if (!dirs) return null;
+  const { gitDir, commonDir } = dirs;
+  try {
+    const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf-8').trim();
+    const ref = head.match(/^ref:\s*(.+)$/);
+    if (!ref) return /^[0-9a-f]{40,64}$/.test(head) ? head : null;
+    for (const base of [gitDir, commonDir]) {
+      try {
+        return fs.readFileSync(path.join(base, ref[1]), 'utf-8').trim();
+      } catch {
+        // Loose ref absent here — try the next location.
+      }
+    }
+    const packed = fs.readFileSync(path.join(commonDir, 'packed-refs'), 'utf-8');
+    for (const line of packed.split(/\r?\n/)) {
+      const [sha, name] = line.split(' ');
+      if (name === ref[1]) return sha;
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every file path a def/search answer names — `file_path` fields anywhere
+ * in the JSON plus `noodl def`'s interned `files` table. Resolved to absolute:
+ * `./x` is cwd-relative (runNoodlSearch shortens to that), any other relative
+ * path is box-root-relative.
+ */
+function resultFiles(resultText, cwd, boxRoot) {
+  const found = new Set();
+  const visit = (node, key) => {
+    if (found.size >= RESULT_CACHE_MAX_FILES || node === null || node === undefined) return;
+    if (typeof node === 'string') {
+      if (key === 'file_path' || key === 'files') found.add(node);
+      return;
+    }
+    if (Array.isArray(node)) {
+      for (const item of node) visit(item, key);
+      return;
+    }
+    if (typeof node === 'object') {
+      for (const [k, v] of Object.entries(node)) visit(v, k);
+    }
+  };
+  try {
+    visit(JSON.parse(resultText), '');
+  } catch {
+    return [];
+  }
+  return [...found].map((p) => {
+    if (path.isAbsolute(p)) return p;
+    if (p.startsWith('./')) return path.resolve(cwd, p);
+    return path.resolve(boxRoot || cwd, p);
+  });
+}
+
+function fileStamp(filePath) {
+  try {
+    const st = fs.statSync(filePath);
+    return `${st.mtimeMs}:${st.size}`;
+  } catch {
+    return null;
+  }
+}
+
+function resultCacheKey(boxId, head, verb, term) {
+  return crypto.createHash('sha256')
+    .update([boxId, head || 'no-head', verb, term].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function readResultCache(sessionId) {
+  try {
+    const data = JSON.parse(fs.readFileSync(resultCachePath(sessionId), 'utf-8'));
+    return data && typeof data.entries === 'object' ? data : { entries: {} };
+  } catch {
+    gcSessionState(Date.now()); // first cache use this session
+    return { entries: {} };
+  }
+}
+
+/**
+ * Run `run()` (a `runNoodlDef`/`runNoodlSearch` call) through the session
+ * cache. `query` = { verb, term, cwd, sessionId, repoInfo }. Resolves the
+ * runner's result shape plus `cached: true|false`; only successful answers
+ * are stored. The runner is passed in so the dispatcher keeps calling the
+ * CLI through `lib` (one seam for tests).
+ */
+async function cachedGraphQuery(query, run) {
+  const { verb, term, cwd, sessionId, repoInfo } = query;
+  if (!sessionId || !repoInfo || !repoInfo.box_id) {
+    return { ...(await run()), cached: false };
+  }
+  const boxRoot = repoInfo.box_root || cwd;
+  const key = resultCacheKey(repoInfo.box_id, readGitHead(boxRoot), verb, term);
+  const cache = readResultCache(sessionId);
+  const entry = cache.entries[key];
+  if (entry && entry.storedAt > readAnalyzeEpoch(repoInfo.box_id)
+      && Object.entries(entry.files || {}).every(([f, stamp]) => fileStamp(f) === stamp)) {
+    debug(`${verb} cache hit:`, term);
+    return { success: true, result: entry.result, elapsed: entry.elapsed, cached: true };
+  }
+
+  const fresh = await run();
+  if (!fresh.success) return { ...fresh, cached: false };
+  const files = {};
+  for (const f of resultFiles(fresh.result, cwd, boxRoot)) files[f] = fileStamp(f);
+  cache.entries[key] = { storedAt: Date.now(), verb, term, result: fresh.result, elapsed: fresh.elapsed, files };
+  writeResultCache(sessionId, cache);
+  return { ...fresh, cached: false };
+}
+
+/**
+ * Write the session's result cache, oldest entries dropped past
+ * RESULT_CACHE_MAX_ENTRIES.
+ */
+function writeResultCache(sessionId, cache) {
+  const keys = Object.keys(cache.entries);
+  if (keys.length > RESULT_CACHE_MAX_ENTRIES) {
+    keys.sort((a, b) => cache.entries[a].storedAt - cache.entries[b].storedAt);
+    for (const stale of keys.slice(0, keys.length - RESULT_CACHE_MAX_ENTRIES)) {
+      delete cache.entries[stale];
+    }
+  }
+  try {
+    fs.writeFileSync(resultCachePath(sessionId), JSON.stringify(cache));
+  } catch (e) {
+    debug('result cache write failed:', e.message);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Session delivery ledger — def/search dedup.
+//
+// Verify findings are deduplicated by the CLI (`--session-id`); def and
+// search answers are rendered here, so their dedup lives here too, and so
+// do the findings a subagent was given, for the fold into its parent (see
+// undeliveredFindings). The ledger records a content hash per (verb, term)
+// the session was given: the same answer again is a repeat, a CHANGED
+// answer (the symbol moved, a new caller appeared) is delivered in full and
+// replaces the record. Same per-session tmp-file approach as the mid-edit
+// gate; no session id means every answer is new.
+// ---------------------------------------------------------------------------
+
+function deliveryLedgerPath(sessionId) {
+  const safe = String(sessionId).replace(/[^A-Za-z0-9-]/g, '_');
+  return path.join(os.tmpdir(), `noodlbox-delivered-${safe}.json`);
+}
+
+function readDeliveryLedger(sessionId) {
+  try {
+    const data = JSON.parse(fs.readFileSync(deliveryLedgerPath(sessionId), 'utf-8'));
+    return data && typeof data.delivered === 'object' ? data : { delivered: {} };
+  } catch {
+    return { delivered: {} };
+  }
+}
+
+/**
+ * True when this session was already given exactly `content` for
+ * (`verb`, `term`). Otherwise records it as delivered and returns false —
+ * one call per answer, made just before it is emitted.
+ */
+function alreadyDelivered(sessionId, verb, term, content) {
+  if (!sessionId) return false;
+  const key = `${verb}:${term}`;
+  const hash = crypto.createHash('sha256').update(String(content)).digest('hex').slice(0, 16);
+  const ledger = readDeliveryLedger(sessionId);
+  const prior = ledger.delivered[key];
+  if (prior && prior.hash === hash) return true;
+  ledger.delivered[key] = { hash, at: Date.now() };
+  try {
+    fs.writeFileSync(deliveryLedgerPath(sessionId), JSON.stringify(ledger));
+  } catch (e) {
+    debug('delivery ledger write failed:', e.message);
+  }
+  return false;
+}
+
+/**
+ * The verify `digest` (from `channel`) less the finding lines (those
+ * naming a location) the ledger says this session was given — only ever a
+ * folded-in subagent's: the CLI dedups each session's own findings. In a
+ * subagent's session the finding lines kept are recorded, so
+ * foldSubagentState carries exactly them to the parent. '' when every
+ * finding line was given already.
+ *
+ * Only the mid-edit nudge is filtered. A finding matches by its whole line,
+ * not by the change that caused it, so the commit and push audits still
+ * list what a subagent was shown: they are the last look before the
+ * findings leave the session.
+ */
+function undeliveredFindings(sessionId, digest, channel) {
+  if (!sessionId) return digest;
+  const ledger = readDeliveryLedger(sessionId);
+  const record = String(sessionId).includes(SUBAGENT_SESSION_MARK);
+  const suppress = channel === 'mid-edit';
+  let findings = 0;
+  let kept = 0;
+  const lines = digest.split('\n').filter((line) => {
+    if (!FINDING_LOCATION.test(line)) return true;
+    findings += 1;
+    const hash = crypto.createHash('sha256').update(line.trim()).digest('hex').slice(0, 16);
+    if (suppress && ledger.delivered[`finding:${hash}`]) return false;
+    if (record) ledger.delivered[`finding:${hash}`] = { hash, at: Date.now() };
+    kept += 1;
+    return true;
+  });
+  if (findings && !kept) return '';
+  if (record && kept) {
+    try {
+      fs.writeFileSync(deliveryLedgerPath(sessionId), JSON.stringify(ledger));
+    } catch (e) {
+      debug('delivery ledger write failed:', e.message);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Graph working set — what a session learned, kept across compaction.
+//
+// Compaction summarizes away every def/search answer the session was given.
+// PreCompact snapshots what the agent was working with — the symbols it
+// looked up (with where the graph places them, from the result cache), the
+// questions it searched, the definitions it edited (recorded as edits go
+// through) and the open verify findings — and the SessionStart that follows
+// compaction re-injects the snapshot: a PreCompact hook cannot add context
+// itself. The snapshot also clears the def/search delivery ledger, so an
+// answer asked for again after compaction is delivered in full rather
+// than pointed back at a context that no longer holds it.
+// ---------------------------------------------------------------------------
+
+const WORKING_SET_MAX_DEFS = 20;
+const WORKING_SET_MAX_SEARCHES = 10;
+const WORKING_SET_MAX_FILES = 20;
+const WORKING_SET_MAX_NAMES_PER_FILE = 8;
+const WORKING_SET_MAX_FINDING_LINES = 20;
+// A snapshot older than this belongs to a compaction whose SessionStart
+// never came; it is not injected into a later one.
+const WORKING_SET_MAX_AGE_MS = 15 * 60 * 1000;
+
+function workingSetPath(sessionId) {
+  const safe = String(sessionId).replace(/[^A-Za-z0-9-]/g, '_');
+  return path.join(os.tmpdir(), `noodlbox-workingset-${safe}.json`);
+}
+
+function readWorkingSetState(sessionId) {
+  try {
+    const data = JSON.parse(fs.readFileSync(workingSetPath(sessionId), 'utf-8'));
+    return data && typeof data.edits === 'object' ? data : { edits: {}, snapshot: null };
+  } catch {
+    return { edits: {}, snapshot: null };
+  }
+}
+
+function writeWorkingSetState(sessionId, state) {
+  try {
+    fs.writeFileSync(workingSetPath(sessionId), JSON.stringify(state));
+  } catch (e) {
+    debug('working set write failed:', e.message);
+  }
+}
+
+/**
+ * Names of the definitions an edit touched: those written in `fragment`
+ * (an Edit's new_string, a Write's content), else the definition enclosing
+ * it in `fileText`, the file as it now is.
+ */
+function editedDefinitions(fileText, fragment) {
+  if (typeof fragment !== 'string' || !fragment) return [];
+  const written = [...extractDefinitions(fragment).keys()];
+  if (written.length) return written.slice(0, WORKING_SET_MAX_NAMES_PER_FILE);
+  const at = typeof fileText === 'string' ? fileText.indexOf(fragment) : -1;
+  if (at < 0) return [];
+  let enclosing = null;
+  for (const [name, def] of extractDefinitions(fileText.slice(0, at + fragment.length))) {
+    if (def.index <= at && (!enclosing || def.index > enclosing.index)) enclosing = { name, index: def.index };
+  }
+  return enclosing ? [enclosing.name] : [];
+}
+
+/**
+ * Record that this session edited `names` in `file` (box-relative), newest
+ * last, and when it last edited anything (`editedAt`, read by the Stop
+ * audit).
+ */
+function noteEditedSymbols(sessionId, file, names) {
+  if (!sessionId || !file) return;
+  const state = readWorkingSetState(sessionId);
+  addEdits(state, file, names);
+  state.editedAt = Date.now();
+  writeWorkingSetState(sessionId, state);
+}
+
+/**
+ * Add `names` edited in `file` to a working-set state, as its newest file.
+ */
+function addEdits(state, file, names) {
+  const previous = state.edits[file] || [];
+  delete state.edits[file];
+  state.edits[file] = [...new Set([...previous, ...names])].slice(-WORKING_SET_MAX_NAMES_PER_FILE);
+  const files = Object.keys(state.edits);
+  for (const old of files.slice(0, Math.max(0, files.length - WORKING_SET_MAX_FILES))) delete state.edits[old];
+}
+
+/**
+ * Where the graph places `term`, from the session's cached def answers:
+ * `file:line`, or null.
+ */
+function cachedDefLocation(cache, term) {
+  for (const entry of Object.values(cache.entries)) {
+    if (entry.verb !== 'def' || entry.term !== term) continue;
+    try {
+      const { symbol } = JSON.parse(entry.result);
+      if (symbol && symbol.file_path) return `${symbol.file_path}:${symbol.start_line}`;
+    } catch {
+      // Unparseable entry — no location.
+    }
+  }
+  return null;
+}
+
+/**
+ * Snapshot the session's working set (`findings`: the verify digest's
+ * lines, [] when the audit had nothing, null when it did not run) for
+ * the SessionStart after compaction, and clear the def/search delivery
+ * ledger. Returns the snapshot.
+ */
+function saveWorkingSet(sessionId, findings) {
+  const ledger = readDeliveryLedger(sessionId);
+  const delivered = Object.entries(ledger.delivered)
+    .sort((a, b) => (b[1].at || 0) - (a[1].at || 0))
+    .map(([key]) => key);
+  const terms = (verb, max) => delivered
+    .filter((key) => key.startsWith(`${verb}:`))
+    .map((key) => key.slice(verb.length + 1))
+    .slice(0, max);
+  const cache = readResultCache(sessionId);
+  const state = readWorkingSetState(sessionId);
+  const snapshot = {
+    savedAt: Date.now(),
+    defs: terms('def', WORKING_SET_MAX_DEFS).map((name) => ({ name, at: cachedDefLocation(cache, name) })),
+    searches: terms('search', WORKING_SET_MAX_SEARCHES),
+    edits: Object.entries(state.edits).reverse().map(([file, names]) => ({ file, names })),
+    findings: findings ? findings.slice(0, WORKING_SET_MAX_FINDING_LINES) : null,
+    moreFindings: findings ? Math.max(0, findings.length - WORKING_SET_MAX_FINDING_LINES) : 0,
+  };
+  writeWorkingSetState(sessionId, { ...state, snapshot });
+  for (const key of Object.keys(ledger.delivered)) {
+    if (key.startsWith('def:') || key.startsWith('search:')) delete ledger.delivered[key];
+  }
+  try {
+    fs.writeFileSync(deliveryLedgerPath(sessionId), JSON.stringify(ledger));
+  } catch (e) {
+    debug('delivery ledger write failed:', e.message);
+  }
+  return snapshot;
+}
+
+/**
+ * The session's working-set snapshot, once — null when there is none or it
+ * is too old to belong to this compaction.
+ */
+function takeWorkingSet(sessionId) {
+  if (!sessionId) return null;
+  const state = readWorkingSetState(sessionId);
+  const { snapshot } = state;
+  if (!snapshot) return null;
+  writeWorkingSetState(sessionId, { ...state, snapshot: null });
+  return Date.now() - (snapshot.savedAt || 0) <= WORKING_SET_MAX_AGE_MS ? snapshot : null;
+}
+
+/**
+ * The working-set lines for a snapshot (findings excluded — the caller
+ * places them), or [] when the session had none.
+ */
+function formatWorkingSet(snapshot) {
+  const lines = [];
+  if (snapshot.defs.length) {
+    lines.push(`Symbols looked up: ${snapshot.defs.map((def) => (def.at ? `${def.name} (${def.at})` : def.name)).join(', ')}`);
+  }
+  if (snapshot.searches.length) {
+    lines.push(`Questions searched: ${snapshot.searches.map((q) => `"${q}"`).join(', ')}`);
+  }
+  if (snapshot.edits.length) {
+    lines.push(`Edited: ${snapshot.edits.map(({ file, names }) => (names.length ? `${file} (${names.join(', ')})` : file)).join(', ')}`);
+  }
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Stop audit — the findings a session would otherwise finish on.
+//
+// The mid-edit nudge is throttled and the commit audit needs a commit; a
+// task finished without one never hears the final verify result. At Stop,
+// a session that edited files since its last working-tree audit gets one
+// (findings-only, channel 'stop'), and remaining findings send it back to
+// work. Two guards keep that from looping: nothing is audited again until
+// the agent edits again, and after `stop_audit_max_blocks` consecutive
+// sends-back the stop goes through.
+// ---------------------------------------------------------------------------
+
+const STOP_AUDIT_MAX_BLOCKS = 2;
+
+function stopStatePath(sessionId) {
+  const safe = String(sessionId).replace(/[^A-Za-z0-9-]/g, '_');
+  return path.join(os.tmpdir(), `noodlbox-stop-${safe}.json`);
+}
+
+function readStopState(sessionId) {
+  try {
+    const data = JSON.parse(fs.readFileSync(stopStatePath(sessionId), 'utf-8'));
+    return { auditedAt: Number(data.auditedAt) || 0, blocks: Number(data.blocks) || 0 };
+  } catch {
+    return { auditedAt: 0, blocks: 0 };
+  }
+}
+
+function writeStopState(sessionId, state) {
+  try {
+    fs.writeFileSync(stopStatePath(sessionId), JSON.stringify(state));
+  } catch (e) {
+    debug('stop state write failed:', e.message);
+  }
+}
+
+/**
+ * Record that the session's working tree was just audited.
+ */
+function noteSessionAudit(sessionId) {
+  if (!sessionId) return;
+  writeStopState(sessionId, { ...readStopState(sessionId), auditedAt: Date.now() });
+}
+
+/**
+ * Should this Stop run the audit? True when the session edited a file
+ * after its last working-tree audit and has not been sent back `maxBlocks`
+ * times in a row. `continuing` is the host's `stop_hook_active`: this stop
+ * ends a continuation a Stop hook asked for; any other stop starts the
+ * count again.
+ */
+function stopAuditDue(sessionId, continuing, maxBlocks = STOP_AUDIT_MAX_BLOCKS) {
+  if (!sessionId) return false;
+  const state = readStopState(sessionId);
+  if (!continuing && state.blocks) {
+    state.blocks = 0;
+    writeStopState(sessionId, state);
+  }
+  const editedAt = Number(readWorkingSetState(sessionId).editedAt) || 0;
+  return editedAt > state.auditedAt && state.blocks < maxBlocks;
+}
+
+/**
+ * Record one send-back of the session at Stop.
+ */
+function noteStopBlock(sessionId) {
+  const state = readStopState(sessionId);
+  writeStopState(sessionId, { ...state, blocks: state.blocks + 1 });
+}
+
+// ---------------------------------------------------------------------------
+// Subagents — a primer in, their state folded back out.
+//
+// A subagent launched with Task/Agent starts from its prompt alone: none of
+// the SessionStart guidance, none of the answers the session was given. Its
+// prompt gets a primer (the dispatcher writes it; the symbols come from
+// here). While it runs, its hook calls carry an `agent_id`, and the
+// dispatcher keys their per-session state (result cache, delivery ledger,
+// edits, verify session) by subagentSessionId — a fresh context is not
+// told "already delivered" about answers only its parent saw. At
+// SubagentStop that state is folded into the parent's, so what the
+// subagent was given — answers and verify findings alike, through the
+// ledger — counts as given, and its edits count for the parent's Stop
+// audit.
+// ---------------------------------------------------------------------------
+
+const SUBAGENT_PRIMER_MAX_SYMBOLS = 8;
+const SUBAGENT_SESSION_MARK = '--agent-';
+
+/**
+ * The session id a subagent's hook calls are keyed by, or null without
+ * both ids.
+ */
+function subagentSessionId(sessionId, agentId) {
+  return sessionId && agentId ? `${sessionId}${SUBAGENT_SESSION_MARK}${agentId}` : null;
+}
+
+/**
+ * The symbols this session resolved through `noodl def` and the graph
+ * placed, as `{ name, at }` (`file:line`): those named in `text` first,
+ * then the most recently resolved, at most `max`.
+ */
+function resolvedSymbols(sessionId, text, max = SUBAGENT_PRIMER_MAX_SYMBOLS) {
+  if (!sessionId) return [];
+  const entries = Object.values(readResultCache(sessionId).entries)
+    .filter((entry) => entry.verb === 'def')
+    .sort((a, b) => b.storedAt - a.storedAt);
+  const symbols = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    if (seen.has(entry.term)) continue;
+    seen.add(entry.term);
+    let symbol;
+    try {
+      ({ symbol } = JSON.parse(entry.result));
+    } catch {
+      continue;
+    }
+    if (symbol && symbol.file_path) symbols.push({ name: entry.term, at: `${symbol.file_path}:${symbol.start_line}` });
+  }
+  const named = (name) => typeof text === 'string'
+    && new RegExp(`(^|[^A-Za-z0-9_$])${name.replace(/[.$]/g, '\\$&')}(?![A-Za-z0-9_$])`).test(text);
+  return [
+    ...symbols.filter((s) => named(s.name)),
+    ...symbols.filter((s) => !named(s.name)),
+  ].slice(0, max);
+}
+
+function removeSessionFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch {
+    // Never written, or raced away.
+  }
+}
+
+/**
+ * Fold a finished subagent's state (`agentSessionId`) into its parent
+ * session's: delivery-ledger records and cached answers the parent lacks
+ * or holds older, and the definitions it edited. The subagent's files are
+ * removed. Returns `{ delivered, edited }` — ledger records folded, and
+ * whether the subagent edited anything.
+ */
+function foldSubagentState(parentSessionId, agentSessionId) {
+  if (!parentSessionId || !agentSessionId) return { delivered: 0, edited: false };
+
+  const child = readDeliveryLedger(agentSessionId);
+  const ledger = readDeliveryLedger(parentSessionId);
+  let delivered = 0;
+  for (const [key, record] of Object.entries(child.delivered)) {
+    const prior = ledger.delivered[key];
+    if (prior && (prior.at || 0) >= (record.at || 0)) continue;
+    ledger.delivered[key] = record;
+    delivered += 1;
+  }
+  if (delivered) {
+    try {
+      fs.writeFileSync(deliveryLedgerPath(parentSessionId), JSON.stringify(ledger));
+    } catch (e) {
+      debug('delivery ledger write failed:', e.message);
+    }
+  }
+
+  const childCache = readResultCache(agentSessionId);
+  const cache = readResultCache(parentSessionId);
+  let cached = 0;
+  for (const [key, entry] of Object.entries(childCache.entries)) {
+    const prior = cache.entries[key];
+    if (prior && prior.storedAt >= entry.storedAt) continue;
+    cache.entries[key] = entry;
+    cached += 1;
+  }
+  if (cached) writeResultCache(parentSessionId, cache);
+
+  const childEdits = readWorkingSetState(agentSessionId);
+  const edited = Object.keys(childEdits.edits).length > 0;
+  if (edited) {
+    const state = readWorkingSetState(parentSessionId);
+    for (const [file, names] of Object.entries(childEdits.edits)) addEdits(state, file, names);
+    state.editedAt = Math.max(state.editedAt || 0, childEdits.editedAt || 0);
+    writeWorkingSetState(parentSessionId, state);
+  }
+
+  for (const filePath of [
+    deliveryLedgerPath(agentSessionId),
+    resultCachePath(agentSessionId),
+    workingSetPath(agentSessionId),
+    midEditStatePath(agentSessionId),
+    stopStatePath(agentSessionId),
+  ]) {
+    removeSessionFile(filePath);
+  }
+  return { delivered, edited };
+}
+
+// ---------------------------------------------------------------------------
+// Circuit breaker — a failing or hanging `noodl` per box.
+//
+// A corrupt box db or a wedged binary would otherwise cost every Grep/Bash
+// the full search timeout and every Edit the full verify timeout, silently,
+// forever. Consecutive failures are counted per box; at the threshold the
+// circuit OPENS and def/search/verify calls are skipped for the cool-down.
+// After it, the next call is a probe: success closes the circuit, failure
+// re-opens it for another cool-down. The user hears about each open episode
+// exactly once (takeBreakerNotice). Answers that are not failures — a
+// symbol or box the graph does not know — never count.
+// ---------------------------------------------------------------------------
+
+const BREAKER_FAILURE_THRESHOLD = 3;
+const BREAKER_COOLDOWN_MS = 300000;
+
+/**
+ * Per-box key for state that follows the box containing `cwd`: its box id
+ * when it resolves, a hash of the path otherwise.
+ */
+function boxKey(cwd) {
+  let resolvedCwd = cwd;
+  try {
+    resolvedCwd = fs.realpathSync(cwd);
+  } catch {
+    // Fall back to the raw cwd.
+  }
+  const boxRoot = findBoxRoot(resolvedCwd);
+  const boxId = boxRoot && readBoxId(boxRoot);
+  return boxId || crypto.createHash('sha256').update(String(resolvedCwd)).digest('hex').slice(0, 16);
+}
+
+function breakerStatePath(cwd) {
+  return boxStatePath(boxKey(cwd), 'breaker');
+}
+
+function readBreakerState(cwd) {
+  try {
+    const state = JSON.parse(fs.readFileSync(breakerStatePath(cwd), 'utf-8'));
+    return state && typeof state === 'object' ? state : { failures: 0 };
+  } catch {
+    return { failures: 0 };
+  }
+}
+
+function writeBreakerState(cwd, state) {
+  try {
+    fs.writeFileSync(breakerStatePath(cwd), JSON.stringify(state));
+  } catch (e) {
+    debug('breaker state write failed:', e.message);
+  }
+}
+
+/**
+ * True while the circuit is closed, or once an open circuit's cool-down has
+ * elapsed (the probe). A skipped call is noted in telemetry.
+ */
+function breakerAllows(cwd) {
+  const state = readBreakerState(cwd);
+  if (!state.openedAt) return true;
+  const { limits } = loadHookPolicy(cwd);
+  if (Date.now() - state.openedAt >= limits.breaker_cooldown_ms) {
+    debug('breaker half-open, probing');
+    return true;
+  }
+  noteTelemetry({ breaker: 'open' });
+  return false;
+}
+
+/**
+ * A NoodlClient outcome the breaker should count: a timeout, a spawn error
+ * (missing binary), or any other failure that is not a plain "the graph
+ * does not know that" answer (`notIndexed`). A timeout the hook deadline
+ * imposed (`cutByDeadline`) is the budget running out, not the CLI failing.
+ */
+function isBreakerFailure(outcome) {
+  return Boolean(outcome) && !outcome.success && !outcome.notIndexed && !outcome.cutByDeadline;
+}
+
+function describeFailure(verb, outcome) {
+  if (outcome.timedOut) return `\`noodl ${verb}\` timed out`;
+  if (outcome.error && outcome.error.code === 'ENOENT') return `\`${NOODL_PATH}\` was not found`;
+  const detail = outcome.stderr || (outcome.error && outcome.error.message) || '';
+  const firstLine = String(detail).trim().split('\n')[0];
+  return `\`noodl ${verb}\` failed${firstLine ? `: ${firstLine.slice(0, 120)}` : ''}`;
+}
+
+/**
+ * Count one call's outcome: success (or a not-indexed answer) resets the
+ * streak and closes the circuit; a failure extends it and opens the
+ * circuit at the policy's `breaker_failure_threshold`.
+ */
+function recordBreakerOutcome(cwd, verb, outcome) {
+  const state = readBreakerState(cwd);
+  if (!isBreakerFailure(outcome)) {
+    if (state.failures || state.openedAt) {
+      if (state.openedAt) debug('breaker closed: noodl answered again');
+      writeBreakerState(cwd, { failures: 0 });
+    }
+    return;
+  }
+  const { limits } = loadHookPolicy(cwd);
+  const failures = (state.failures || 0) + 1;
+  const next = { failures, reason: describeFailure(verb, outcome) };
+  if (failures >= limits.breaker_failure_threshold) {
+    // Re-opening after a failed probe keeps the episode's notice state.
+    next.openedAt = Date.now();
+    next.notified = Boolean(state.openedAt && state.notified);
+    debug('breaker open:', next.reason);
+  }
+  writeBreakerState(cwd, next);
+}
+
+/**
+ * The one-time user notice for the current open episode, or null. Marks
+ * it delivered, so the caller must emit what it gets.
+ */
+function takeBreakerNotice(cwd) {
+  const state = readBreakerState(cwd);
+  if (!state.openedAt || state.notified) return null;
+  writeBreakerState(cwd, { ...state, notified: true });
+  const { limits } = loadHookPolicy(cwd);
+  const minutes = Math.max(1, Math.round(limits.breaker_cooldown_ms / 60000));
+  return `graph augmentation paused for ~${minutes} min after ${state.failures} consecutive noodl failures`
+    + ` (last: ${state.reason}). Searches and edits run normally; noodlbox retries after the cool-down.`;
+}
+
+// ---------------------------------------------------------------------------
+// Local telemetry — `~/.noodlbox/hooks/telemetry.jsonl`.
+//
+// `debug` answers "what is this hook doing right now"; telemetry answers
+// "how often does the plugin actually help". The dispatcher opens one record
+// per hook invocation (beginTelemetry), every layer annotates it
+// (noteTelemetry, recordNoodlCall), and main() appends it as one JSON line
+// (flushTelemetry). Only invocations that resolved a box are written — the
+// plugin is installed globally and unrelated repos are not our business.
+// Rotated by size; local only, never sent anywhere. Opt out with
+// NOODLBOX_HOOK_TELEMETRY=false.
+// ---------------------------------------------------------------------------
+
+const TELEMETRY_ENABLED = process.env.NOODLBOX_HOOK_TELEMETRY !== 'false';
+const TELEMETRY_FILE = 'telemetry.jsonl';
+const TELEMETRY_MAX_BYTES = 5 * 1024 * 1024;
+const TELEMETRY_ROTATIONS = 2;
+
+let telemetryRecord = null;
+
+function telemetryDir() {
+  return path.join(os.homedir(), '.noodlbox', 'hooks');
+}
+
+/**
+ * Every telemetry file, newest last: the rotated generations, then the live log.
+ */
+function telemetryFiles() {
+  const base = path.join(telemetryDir(), TELEMETRY_FILE);
+  const files = [];
+  for (let n = TELEMETRY_ROTATIONS; n >= 1; n--) files.push(`${base}.${n}`);
+  files.push(base);
+  return files;
+}
+
+/** Open this invocation's record (`event`, `tool`, `session`, ...). */
+function beginTelemetry(fields) {
+  telemetryRecord = { ts: new Date().toISOString(), ...fields, routes: [], gates: [], calls: [] };
+}
+
+/**
+ * Merge fields into the open record; a no-op outside an invocation (tests).
+ * One invocation can take several routes and pass several gates (an Edit
+ * runs its guards and the mid-edit nudge), so `route` and `gate` append to
+ * the record's `routes`/`gates` lists instead of overwriting.
+ */
+function noteTelemetry(fields) {
+  if (!telemetryRecord) return;
+  const { route, gate, ...rest } = fields;
+  if (route) telemetryRecord.routes.push(route);
+  if (gate) telemetryRecord.gates.push(gate);
+  Object.assign(telemetryRecord, rest);
+}
+
+/** One `noodl` subprocess: verb, wall-clock ms, success, timed out. */
+function recordNoodlCall(verb, ms, ok, timedOut) {
+  if (telemetryRecord) telemetryRecord.calls.push({ verb, ms, ok, timeout: timedOut });
+}
+
+function rotateTelemetry(file) {
+  try {
+    if (fs.statSync(file).size < TELEMETRY_MAX_BYTES) return;
+  } catch {
+    return;
+  }
+  for (let n = TELEMETRY_ROTATIONS; n >= 1; n--) {
+    const from = n === 1 ? file : `${file}.${n - 1}`;
+    try {
+      fs.renameSync(from, `${file}.${n}`);
+    } catch {
+      // Generation absent — nothing to shift.
+    }
+  }
+}
+
+/**
+ * Append the open record as one line and close it. Best-effort: a telemetry
+ * failure must never surface in a hook.
+ */
+function flushTelemetry() {
+  const record = telemetryRecord;
+  telemetryRecord = null;
+  if (!TELEMETRY_ENABLED || !record || !record.box) return;
+  try {
+    fs.mkdirSync(telemetryDir(), { recursive: true });
+    const file = path.join(telemetryDir(), TELEMETRY_FILE);
+    rotateTelemetry(file);
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  } catch (e) {
+    debug('telemetry write failed:', e.message);
+  }
+}
+
+/** Parse every telemetry line across rotations; malformed lines are skipped. */
+function readTelemetry() {
+  const records = [];
+  for (const file of telemetryFiles()) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf-8');
+    } catch {
+      continue;
+    }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Torn or foreign line — skip.
+      }
+    }
+  }
+  return records;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Group records per box per (UTC) day: invocation count, route mix
+ * (every route taken / decline reason), gate blocks, noodl call latency
+ * p50/p95 and timeout rate, injection count and bytes. Sorted by box, then day.
+ * Lines written before `routes`/`gates` were lists carry a single
+ * `route`/`gate`.
+ */
+function summarizeTelemetry(records) {
+  const groups = new Map();
+  for (const r of records) {
+    if (!r || !r.box || typeof r.ts !== 'string') continue;
+    const day = r.ts.slice(0, 10);
+    const key = `${r.box}\0${day}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        box: r.box, boxName: r.box_name || r.box, day,
+        invocations: 0, routes: {}, gates: {}, latencies: [], calls: 0, timeouts: 0,
+        failures: 0, injections: 0, injectedBytes: 0,
+      });
+    }
+    const g = groups.get(key);
+    g.invocations++;
+    const routes = Array.isArray(r.routes) ? [...r.routes] : r.route ? [r.route] : [];
+    if (!routes.length && r.decline) routes.push(`declined:${r.decline}`);
+    for (const route of routes) g.routes[route] = (g.routes[route] || 0) + 1;
+    for (const gate of Array.isArray(r.gates) ? r.gates : r.gate ? [r.gate] : []) {
+      if (gate && gate.blocked) g.gates[gate.name] = (g.gates[gate.name] || 0) + 1;
+    }
+    for (const c of Array.isArray(r.calls) ? r.calls : []) {
+      g.calls++;
+      if (typeof c.ms === 'number') g.latencies.push(c.ms);
+      if (c.timeout) g.timeouts++;
+      if (!c.ok) g.failures++;
+    }
+    if (r.injected_bytes > 0) {
+      g.injections++;
+      g.injectedBytes += r.injected_bytes;
+    }
+  }
+  return [...groups.values()]
+    .sort((a, b) => a.boxName.localeCompare(b.boxName) || a.day.localeCompare(b.day))
+    .map((g) => {
+      const sorted = g.latencies.sort((a, b) => a - b);
+      const { latencies, ...rest } = g;
+      return {
+        ...rest,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        timeoutRate: g.calls > 0 ? g.timeouts / g.calls : 0,
+      };
+    });
+}
+
+/** Plain-text rendering of summarizeTelemetry for `noodlbox.js stats`. */
+function formatTelemetryStats(summary) {
+  if (summary.length === 0) {
+    return `No hook telemetry yet (${path.join(telemetryDir(), TELEMETRY_FILE)}).`;
+  }
+  const lines = [];
+  for (const g of summary) {
+    const mix = Object.entries(g.routes)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, n]) => `${name} ${n}`)
+      .join(' · ') || 'none';
+    lines.push(`${g.boxName} (${g.box.slice(0, 8)}) · ${g.day}`);
+    lines.push(`  invocations ${g.invocations} · routes: ${mix}`);
+    lines.push(
+      `  noodl calls ${g.calls} · p50 ${g.p50}ms · p95 ${g.p95}ms`
+      + ` · timeouts ${g.timeouts} (${(g.timeoutRate * 100).toFixed(1)}%) · failures ${g.failures}`
+    );
+    lines.push(`  injected ${g.injections}x · ${(g.injectedBytes / 1024).toFixed(1)} KB`);
+    const gates = Object.entries(g.gates).map(([name, n]) => `${name} ${n}`).join(' · ');
+    if (gates) lines.push(`  gates blocked: ${gates}`);
+  }
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Hook policy — `.nbx/hooks.toml`.
+//
+// Every channel and threshold above is a DEFAULT. A box can override them in
+// `.nbx/hooks.toml` beside its committed `nbx.toml`; a user can set their own
+// in `~/.noodlbox/hooks.toml`. Precedence per key: box file, then user file,
+// then the built-in default. An invalid value never breaks a hook — it falls
+// back to the default with a debug warning (fail-open, like everything here).
+//
+//   [channels]                # each one independently on/off
+//   def = true                # Grep/Bash bare identifier → `noodl def`
+//   search = true             # Grep/Bash prose → `noodl search`
+//   mid_edit = true           # Edit/Write findings-only nudge
+//   commit_audit = true       # `git commit` verify digest
+//   post_commit_analyze = true
+//   session_context = true    # SessionStart AGENTS.md / list / schema
+//
+//   [limits]
+//   mid_edit_min_interval_ms = 60000
+//   post_commit_analyze_debounce_ms = 120000
+//   verify_digest_timeout_ms = 15000
+//   search_timeout_ms = 5000
+//   def_max_edges_per_category = 8
+//   search_limit = 50
+//   search_intent = "implement"
+//   breaker_failure_threshold = 3
+//   breaker_cooldown_ms = 300000
+// ---------------------------------------------------------------------------
+
+const HOOK_POLICY_FILE = 'hooks.toml';
+
+// Channel → default.
+const HOOK_POLICY_CHANNELS = {
+  def: true,
+  search: true,
+  mid_edit: true,
+  commit_audit: true,
+  push_audit: true,
+  signature_guard: true,
+  deleted_symbol_guard: true,
+  rename_check: true,
+  test_selection: true,
+  stack_context: true,
+  diagnostic_context: true,
+  change_summary: true,
+  stop_audit: true,
+  prompt_context: true,
+  subagent_context: true,
+  post_commit_analyze: true,
+  session_context: true,
+};
+
+// Per-limit validation: integers carry a floor, strings a shape.
+const HOOK_POLICY_LIMITS = {
+  mid_edit_min_interval_ms: { type: 'int', min: 0, default: MID_EDIT_MIN_INTERVAL_MS },
+  post_commit_analyze_debounce_ms: { type: 'int', min: 0, default: POST_COMMIT_ANALYZE_DEBOUNCE_MS },
+  verify_digest_timeout_ms: { type: 'int', min: 1, default: VERIFY_DIGEST_TIMEOUT_MS },
+  search_timeout_ms: { type: 'int', min: 1, default: SEARCH_TIMEOUT_MS },
+  def_max_edges_per_category: { type: 'int', min: 1, default: DEF_MAX_EDGES_PER_CATEGORY },
+  search_limit: { type: 'int', min: 1, default: SEARCH_LIMIT },
+  search_intent: { type: 'string', pattern: /^[a-z][a-z-]*$/, default: SEARCH_INTENT },
+  breaker_failure_threshold: { type: 'int', min: 1, default: BREAKER_FAILURE_THRESHOLD },
+  breaker_cooldown_ms: { type: 'int', min: 0, default: BREAKER_COOLDOWN_MS },
+  commit_gate: { type: 'string', pattern: /^(off|ask|deny)$/, default: 'off' },
+  commit_gate_severity: { type: 'string', pattern: /^(low|medium|high|critical)$/, default: 'high' },
+  stale_reanalyze: { type: 'string', pattern: /^(off|offer|auto)$/, default: 'offer' },
+  stale_reanalyze_commits: { type: 'int', min: 1, default: STALE_REANALYZE_COMMITS },
+  stop_audit_max_blocks: { type: 'int', min: 1, default: STOP_AUDIT_MAX_BLOCKS },
+  prompt_max_identifiers: { type: 'int', min: 1, default: PROMPT_MAX_IDENTIFIERS },
+};
+
+/**
+ * The built-in policy: every channel at its default, every limit at its constant.
+ */
+function defaultHookPolicy() {
+  const channels = { ...HOOK_POLICY_CHANNELS };
+  const limits = {};
+  for (const [name, rule] of Object.entries(HOOK_POLICY_LIMITS)) limits[name] = rule.default;
+  return { channels, limits };
+}
+
+/**
+ * Minimal TOML reader for the flat `[section]` / `key = value` subset the
+ * policy file uses — booleans, integers (`_` separators allowed) and
+ * double-quoted strings. Anything else is kept as `{ invalid: raw }` so the
+ * validator can name it. Returns `{ section: { key: value } }`.
+ */
+function parseFlatToml(text) {
+  const out = {};
+  let section = '';
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const header = line.match(/^\[\s*([A-Za-z0-9_.-]+)\s*\]\s*(#.*)?$/);
+    if (header) {
+      section = header[1];
+      continue;
+    }
+    const kv = line.match(/^([A-Za-z0-9_-]+)\s*=\s*(.*)$/);
+    if (!kv) continue;
+    const raw = kv[2].trim();
+    let value;
+    const str = raw.match(/^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/);
+    if (str) {
+      value = str[1].replace(/\\(.)/g, '$1');
+    } else {
+      const bare = raw.replace(/\s+#.*$/, '');
+      if (bare === 'true' || bare === 'false') value = bare === 'true';
+      else if (/^[+-]?\d+(_\d+)*$/.test(bare)) value = Number(bare.replace(/_/g, ''));
+      else value = { invalid: bare };
+    }
+    if (!out[section]) out[section] = {};
+    out[section][kv[1]] = value;
+  }
+  return out;
+}
+
+/**
+ * Fold one parsed policy file over `policy`, key by key. Unknown keys and
+ * invalid values are skipped with a debug warning, leaving the lower layer's
+ * value (ultimately the default) in place.
+ */
+function applyHookPolicyLayer(policy, parsed, source) {
+  for (const [name, value] of Object.entries(parsed.channels || {})) {
+    if (!Object.prototype.hasOwnProperty.call(HOOK_POLICY_CHANNELS, name)) {
+      debug(`hook policy: unknown channel "${name}" in ${source}, ignored`);
+    } else if (typeof value !== 'boolean') {
+      debug(`hook policy: channels.${name} must be true/false in ${source}, using default`);
+    } else {
+      policy.channels[name] = value;
+    }
+  }
+  for (const [name, value] of Object.entries(parsed.limits || {})) {
+    const rule = HOOK_POLICY_LIMITS[name];
+    if (!rule) {
+      debug(`hook policy: unknown limit "${name}" in ${source}, ignored`);
+      continue;
+    }
+    const valid = rule.type === 'int'
+      ? Number.isSafeInteger(value) && value >= rule.min
+      : typeof value === 'string' && rule.pattern.test(value);
+    if (!valid) {
+      debug(`hook policy: invalid limits.${name} in ${source}, using default`, value);
+      continue;
+    }
+    policy.limits[name] = value;
+  }
+}
+
+function readHookPolicyFile(filePath) {
+  try {
+    return parseFlatToml(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null; // absent or unreadable: this layer contributes nothing
+  }
+}
+
+// One hook process serves one event; the policy cannot change under it.
+const hookPolicyCache = new Map();
+
+/**
+ * Effective hook policy for `cwd`: defaults, overlaid by
+ * `~/.noodlbox/hooks.toml`, overlaid by the box's `.nbx/hooks.toml`.
+ * Never throws; with no files at all it is the built-in default.
+ */
+function loadHookPolicy(cwd) {
+  let resolvedCwd = cwd || process.cwd();
+  try {
+    resolvedCwd = fs.realpathSync(resolvedCwd);
+  } catch {
+    // Fall back to the raw cwd (matches getIndexedRepoInfo).
+  }
+  if (hookPolicyCache.has(resolvedCwd)) return hookPolicyCache.get(resolvedCwd);
+
+  const policy = defaultHookPolicy();
+  const layers = [path.join(os.homedir(), '.noodlbox', HOOK_POLICY_FILE)];
+  const boxRoot = findBoxRoot(resolvedCwd);
+  if (boxRoot) layers.push(path.join(boxRoot, '.nbx', HOOK_POLICY_FILE));
+  for (const file of layers) {
+    const parsed = readHookPolicyFile(file);
+    if (parsed) applyHookPolicyLayer(policy, parsed, file);
   }
+  debug('Hook policy:', policy);
+  hookPolicyCache.set(resolvedCwd, policy);
+  return policy;
 }
 
 module.exports = {
+  promptIdentifiers,
+  formatPromptDefinitions,
+  noteSessionAudit,
+  stopAuditDue,
+  noteStopBlock,
+  SUBAGENT_PRIMER_MAX_SYMBOLS,
+  subagentSessionId,
+  resolvedSymbols,
+  foldSubagentState,
+  editedDefinitions,
+  noteEditedSymbols,
+  saveWorkingSet,
+  takeWorkingSet,
+  formatWorkingSet,
+  analyzedCommit,
+  baselineStaleness,
+  stalenessDistance,
+  stalenessBadge,
+  commitSummaryScope,
+  isPrCreateCommand,
+  resolvePrRange,
+  structuralChanges,
+  affectedEntryPoints,
+  formatChangeSummary,
+  parseDiagnostics,
+  formatDiagnosticContext,
+  toolResponseText,
+  parseStackFrames,
+  frameSymbol,
+  stackEntries,
+  formatStackContext,
+  testRunnerCommand,
+  changedDefinitions,
+  testsReaching,
+  testFilterCommand,
+  formatTestSelection,
+  readFileText,
+  removedDefinitions,
+  formatDeletedSymbolFindings,
+  renameFromBashCommand,
+  renameFromEdit,
+  editRenamesDefinition,
+  remainingReferences,
+  formatRenameFindings,
+  defEdges,
+  changedSignatures,
+  formatSignatureFindings,
+  parseFindingSeverities,
+  commitGateDecision,
+  isPushCommand,
+  resolvePushRange,
+  attributeFindings,
+  analyzeStatusPath,
+  readAnalyzeStatus,
+  analyzeRefreshNote,
+  takeAnalyzeFailureNotice,
+  isHeadMovingCommand,
+  hostBudgetMs,
+  beginDeadline,
+  deadlineRemainingMs,
+  takeBreakerNotice,
+  breakerAllows,
+  recordBreakerOutcome,
+  breakerStatePath,
+  beginTelemetry,
+  noteTelemetry,
+  flushTelemetry,
+  readTelemetry,
+  summarizeTelemetry,
+  formatTelemetryStats,
+  routeDeclineReason,
+  bashSearchPattern,
+  alreadyDelivered,
+  undeliveredFindings,
+  deliveryLedgerPath,
+  cachedGraphQuery,
+  readGitHead,
+  resultCachePath,
+  loadHookPolicy,
+  defaultHookPolicy,
+  parseFlatToml,
   isCommitCommand,
   runNoodlVerifyDigest,
   midEditDue,
@@ -1220,6 +4448,7 @@ module.exports = {
   routeBashCommand,
   runNoodlSearch,
   runNoodlDef,
+  runNoodlSchema,
   formatDefContext,
   listRepositories,
   parseSearchResults,
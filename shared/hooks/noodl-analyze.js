@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Noodlbox Background Analyze
+ *
+ * Runs the post-commit `noodl analyze` for lib.spawnPostCommitAnalyze and
+ * records how it ended in the box's analyze-status file. The analyze is
+ * still detached and fire-and-forget; the status file is the only channel
+ * back, read by the hooks to tell the agent the graph is being rebuilt
+ * (lib.analyzeRefreshNote) and the user when the rebuild failed
+ * (lib.takeAnalyzeFailureNotice).
+ *
+ * lib writes the 'running' record before spawning this process, so no hook
+ * can observe the old state after the spawn. This process adds its pid and
+ * then the outcome — only while the record is still its own run (`runId`):
+ * a newer analyze that took over the file is not overwritten by an older
+ * one finishing late.
+ *
+ * Usage: node noodl-analyze.js <statusPath> <runId> <cwd>
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+// Enough of stderr's tail to name why an analyze failed.
+const STDERR_TAIL_BYTES = 2048;
+
+function readStatus(statusPath) {
+  try {
+    return JSON.parse(fs.readFileSync(statusPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merge `fields` into the status record if it still belongs to `runId`.
+ * Written to a temp file and renamed, so a hook never reads half a record.
+ */
+function updateStatus(statusPath, runId, fields) {
+  const current = readStatus(statusPath);
+  if (!current || current.runId !== runId) return;
+  const tmp = `${statusPath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify({ ...current, ...fields }));
+    fs.renameSync(tmp, statusPath);
+  } catch {
+    // Best-effort, like every other piece of hook state.
+  }
+}
+
+/**
+ * The last non-empty stderr line — the CLI's error — or null.
+ */
+function failureReason(stderr) {
+  const lines = stderr.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  return lines.length ? lines[lines.length - 1].slice(0, 300) : null;
+}
+
+function run(statusPath, runId, cwd) {
+  const binary = process.env.NOODLBOX_CLI_PATH || 'noodl';
+  updateStatus(statusPath, runId, { pid: process.pid });
+
+  let stderr = '';
+  let settled = false;
+  const finish = (fields) => {
+    if (settled) return;
+    settled = true;
+    updateStatus(statusPath, runId, { ...fields, pid: null, finishedAt: Date.now() });
+  };
+
+  let child;
+  try {
+    child = spawn(binary, ['analyze', '--skip-deps', '.'], {
+      cwd,
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+  } catch (e) {
+    finish({ state: 'failed', exitCode: null, reason: e.message });
+    return;
+  }
+  child.stderr.setEncoding('utf-8');
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-STDERR_TAIL_BYTES);
+  });
+  child.on('error', (e) => finish({ state: 'failed', exitCode: null, reason: e.message }));
+  child.on('close', (code, signal) => {
+    if (code === 0) {
+      finish({ state: 'finished', exitCode: 0, reason: null });
+      return;
+    }
+    finish({
+      state: 'failed',
+      exitCode: code,
+      reason: failureReason(stderr) || (signal ? `killed by ${signal}` : `exit ${code}`),
+    });
+  });
+}
+
+if (require.main === module) {
+  const [statusPath, runId, cwd] = process.argv.slice(2);
+  if (!statusPath || !runId || !cwd) {
+    process.exit(2);
+  }
+  run(statusPath, runId, cwd);
+}
+
+module.exports = {
+  run,
+};
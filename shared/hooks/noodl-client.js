@@ -0,0 +1,176 @@
+/**
+ * Noodlbox CLI Client
+ *
+ * The one way the hooks run `noodl` for an answer. Promise-based (execFile,
+ * never the *Sync variants) so independent calls can overlap, with the same
+ * rules for every verb:
+ *
+ * - cwd is realpath-resolved (noodl stores realpaths: macOS /var ->
+ *   /private/var), falling back to the raw path;
+ * - every call has a deadline — a relative `timeoutMs`, an absolute
+ *   `deadline`, or both (the earlier wins); a deadline already passed
+ *   resolves as timed out without spawning;
+ * - every call RESOLVES, never rejects — hooks are fail-open by contract —
+ *   to `{ success, result, data, elapsed, timedOut, cutByDeadline, partial,
+ *   notIndexed, error }`, with `data` the parsed JSON when the call asked
+ *   for it and `partial` whatever stdout a failed call printed before it
+ *   ended.
+ *
+ * Fire-and-forget processes (the post-commit analyze) are not answers and
+ * do not go through here.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+// `noodl def` on a hub symbol and `noodl schema` both exceed execFile's 1 MB default.
+const MAX_BUFFER_BYTES = 16 * 1024 * 1024;
+
+// Output that means "the graph has no answer for this", not "the CLI broke".
+const NOT_INDEXED_PATTERN = /not indexed|not found|No analyzed repository/;
+
+class NoodlClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.binary] - CLI path (default NOODLBOX_CLI_PATH or `noodl`)
+   * @param {number} [options.timeoutMs] - per-call timeout when a call names none
+   */
+  constructor(options = {}) {
+    this.binary = options.binary || process.env.NOODLBOX_CLI_PATH || 'noodl';
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Realpath of `cwd`, or `cwd` itself when it cannot be resolved.
+   */
+  resolveCwd(cwd) {
+    try {
+      return fs.realpathSync(cwd);
+    } catch {
+      return cwd;
+    }
+  }
+
+  /**
+   * Milliseconds this call may take: the smaller of `timeoutMs` and the
+   * time left before `deadline` (an epoch-ms timestamp).
+   */
+  budget({ timeoutMs, deadline } = {}) {
+    let ms = timeoutMs || this.timeoutMs;
+    if (typeof deadline === 'number') ms = Math.min(ms, deadline - Date.now());
+    return Math.floor(ms);
+  }
+
+  /**
+   * Run `noodl <args>`.
+   *
+   * @param {string[]} args
+   * @param {object} [options]
+   * @param {string} [options.cwd] - working directory (realpath-resolved)
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.deadline] - absolute epoch ms
+   * @param {boolean} [options.json] - parse stdout into `data`
+   * @returns {Promise<object>} never rejects
+   */
+  run(args, options = {}) {
+    const start = Date.now();
+    const timeout = this.budget(options);
+    // The deadline, not the call's own timeout, set the limit.
+    const cutByDeadline = timeout < (options.timeoutMs || this.timeoutMs);
+    if (timeout <= 0) {
+      return Promise.resolve(outcome({ start, timedOut: true, cutByDeadline }));
+    }
+    const execOptions = {
+      encoding: 'utf-8',
+      timeout,
+      maxBuffer: MAX_BUFFER_BYTES,
+    };
+    if (options.cwd) execOptions.cwd = this.resolveCwd(options.cwd);
+
+    return new Promise((resolve) => {
+      let child;
+      try {
+        child = execFile(this.binary, args, execOptions, (error, stdout, stderr) => {
+          if (error) {
+            // execFile reports its own timeout kill as `killed`; a
+            // maxBuffer overflow also kills, but is not a timeout.
+            const timedOut = error.code === 'ETIMEDOUT'
+              || (error.killed === true && error.code !== 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER');
+            const text = `${stderr || ''}\n${stdout || ''}`;
+            resolve(outcome({
+              start,
+              error,
+              stderr,
+              partial: stdout || '',
+              timedOut,
+              cutByDeadline: timedOut && cutByDeadline,
+              notIndexed: !timedOut && NOT_INDEXED_PATTERN.test(text),
+            }));
+            return;
+          }
+          let data;
+          if (options.json) {
+            try {
+              data = JSON.parse(stdout);
+            } catch {
+              resolve(outcome({ start, stderr, error: new Error(`noodl ${args[0]}: output is not JSON`) }));
+              return;
+            }
+          }
+          resolve(outcome({ start, success: true, result: stdout, data, stderr }));
+        });
+      } catch (error) {
+        resolve(outcome({ start, error }));
+        return;
+      }
+      // The CLI never reads stdin; close it so nothing waits on it. A
+      // spawn failure surfaces in the callback, not as a stream error.
+      child.stdin.on('error', () => {});
+      child.stdin.end();
+    });
+  }
+
+  /** `noodl def <symbol> --box <cwd>` — parsed symbol context. */
+  def(symbol, cwd, options = {}) {
+    return this.run(['def', symbol, '--box', this.resolveCwd(cwd)], { ...options, json: true });
+  }
+
+  /** `noodl search <query> --box <cwd> --limit N --intent I` — parsed context result. */
+  search(query, cwd, options = {}) {
+    const args = ['search', query, '--box', this.resolveCwd(cwd)];
+    if (options.limit) args.push('--limit', String(options.limit));
+    if (options.intent) args.push('--intent', options.intent);
+    return this.run(args, { ...options, json: true });
+  }
+
+  /** `noodl list` — plain text. */
+  list(options = {}) {
+    return this.run(['list'], options);
+  }
+
+  /** `noodl schema` — plain text. */
+  schema(options = {}) {
+    return this.run(['schema'], options);
+  }
+}
+
+function outcome({ start, ...fields }) {
+  return {
+    success: false,
+    result: '',
+    data: undefined,
+    stderr: '',
+    partial: '',
+    timedOut: false,
+    cutByDeadline: false,
+    notIndexed: false,
+    error: null,
+    ...fields,
+    elapsed: Date.now() - start,
+  };
+}
+
+module.exports = {
+  NoodlClient,
+};